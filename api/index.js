@@ -2,36 +2,50 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const bodyParser = require("body-parser");
-const rateLimit = require("express-rate-limit");
-const Stripe = require("stripe");
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
 const accessRoutes = require('./routes/access');
 const { router: stripeRoutes, stripeWebhookHandler } = require('./routes/stripe');
 const usersRoutes = require('./routes/users');
+const keysRoutes = require('./routes/keys');
+const plansRoutes = require('./routes/plans');
+const usageRoutes = require('./routes/usage');
+const referralsRoutes = require('./routes/referrals');
+const organizationsRoutes = require('./routes/organizations');
+const creditsRoutes = require('./routes/credits');
+const authRoutes = require('./routes/auth');
+const oauthRoutes = require('./routes/oauth');
+const oauthClientsRoutes = require('./routes/oauthClients');
+const cronRoutes = require('./routes/cron');
+const checkoutPagesRoutes = require('./routes/checkoutPages');
+const tenantsRoutes = require('./routes/tenants');
+const { route, mount, buildSpec } = require('./lib/openapi');
+const { rateLimit, DEFAULT_LIMITS } = require('./middleware/rateLimit');
+const { extractApiKey } = require('./middleware/auth');
+const { isKnownOrigin } = require('./lib/tenants');
+const logger = require('./lib/logger');
+const { requestLogger } = require('./middleware/requestLogger');
 
 const app = express();
 app.set('trust proxy', 1); // trust first proxy (Vercel)
 
-// Rate limiting with Vercel-compatible store
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: "Too many requests from this IP, please try again later.",
-  standardHeaders: true,
-  legacyHeaders: false,
-  // Important: Use memory store for Vercel
-  skipSuccessfulRequests: false
+// Rate limiting backed by a store shared across serverless instances (see lib/rateLimitStore.js).
+// API requests with a key or OAuth token are counted per key once authenticateApiKey accepts it
+// (see route() in lib/openapi.js), since GPT traffic arrives from a handful of OpenAI addresses.
+// Anonymous requests, and rejected keys, are counted per IP.
+const ipLimiter = rateLimit({ name: 'global', by: 'ip', ...DEFAULT_LIMITS.ip });
+const anonymousLimiter = rateLimit({
+  name: 'global',
+  by: 'ip',
+  ...DEFAULT_LIMITS.ip,
+  skip: req => Boolean(extractApiKey(req))
 });
 
-// CORS configuration
+// Request ids and one structured log line per request
+app.use(requestLogger);
+
+// CORS configuration: the GPT origins plus every tenant's cors_origins (see lib/tenants.js);
+// the auth middleware then checks the origin against the key's own tenant
 app.use(cors({
   origin: function (origin, callback) {
-    const allowedOrigins = [
-      'https://chat.openai.com',
-      'https://chatgpt.com',
-      process.env.FRONTEND_URL
-    ].filter(Boolean);
-
     // Allow requests with no origin (like mobile apps or Postman)
     if (!origin) return callback(null, true);
 
@@ -40,19 +54,20 @@ app.use(cors({
       return callback(null, true);
     }
 
-    if (allowedOrigins.indexOf(origin) !== -1) {
-      callback(null, true);
-    } else {
-      callback(new Error('Not allowed by CORS'));
-    }
+    isKnownOrigin(origin)
+      .then(allowed => callback(allowed ? null : new Error('Not allowed by CORS'), allowed))
+      .catch(callback);
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'X-API-Key', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'X-API-Key', 'Authorization', 'X-Session-Token', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 
-// Stripe webhook endpoint must receive the raw body (define before bodyParser)
+// Stripe webhook endpoints must receive the raw body (define before bodyParser);
+// one per tenant, and the original path for the default tenant
 app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), stripeWebhookHandler);
+app.post('/api/stripe/webhook/:tenant', express.raw({ type: 'application/json' }), stripeWebhookHandler);
 
 // Body parsing middleware (applies to all other routes)
 app.use(bodyParser.json());
@@ -70,28 +85,75 @@ app.get('/', (req, res) => {
     timestamp: new Date().toISOString()
   });
 });
-app.get('/api', (req, res) => {
+
+const healthRoutes = express.Router();
+route(healthRoutes, {
+  method: 'get',
+  path: '/',
+  operationId: 'healthCheck',
+  summary: 'Health check endpoint',
+  responses: {
+    200: {
+      description: 'API is healthy',
+      schema: {
+        type: 'object',
+        properties: {
+          status: { type: 'string' },
+          message: { type: 'string' },
+          timestamp: { type: 'string' }
+        }
+      }
+    }
+  }
+}, (req, res) => {
   res.status(200).json({
     status: 'healthy',
     message: 'GPT Paywall API is running on Vercel (Supabase Edition)',
     timestamp: new Date().toISOString()
   });
 });
+mount(app, '/api', healthRoutes);
+
+// OpenAPI spec for GPT Actions, generated from the route definitions
+app.get('/api/openapi.json', (req, res) => {
+  const serverUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  res.json(buildSpec({ serverUrl }));
+});
+
+// Apply rate limiting to all routes (per-user and per-route limits are set in route definitions)
+app.use('/api/', anonymousLimiter);
+
+// OAuth 2.0 authorization server for GPT Actions (sign-in page and token endpoint).
+// Browser pages are always limited per IP, whatever headers the request carries.
+app.use('/oauth', ipLimiter, oauthRoutes);
 
-// Apply rate limiting to all routes
-app.use('/api/', limiter);
+// Pages Stripe Checkout returns the user to (/success and /cancel)
+app.use(['/success', '/cancel'], ipLimiter);
+app.use(checkoutPagesRoutes);
 
 // Use routes
-app.use('/api', accessRoutes);
-app.use('/api/stripe', stripeRoutes);
-app.use('/api/users', usersRoutes);
+mount(app, '/api', accessRoutes);
+mount(app, '/api/auth', authRoutes);
+mount(app, '/api/stripe', stripeRoutes);
+mount(app, '/api/users', usersRoutes);
+mount(app, '/api/plans', plansRoutes);
+mount(app, '/api/usage', usageRoutes);
+mount(app, '/api/referrals', referralsRoutes);
+mount(app, '/api/organizations', organizationsRoutes);
+mount(app, '/api/credits', creditsRoutes);
+mount(app, '/api/keys', keysRoutes);
+mount(app, '/api/oauth/clients', oauthClientsRoutes);
+mount(app, '/api/tenants', tenantsRoutes);
+
+// Scheduled jobs (Vercel Cron), authenticated with CRON_SECRET
+app.use('/api/cron', cronRoutes);
 
 // Handle OPTIONS requests for CORS preflight
 app.options('*', cors());
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
+  logger.error('Unhandled error', { error: err });
 
   if (err.message === 'Not allowed by CORS') {
     return res.status(403).json({ error: 'CORS policy violation' });
@@ -0,0 +1,92 @@
+// Access policy: which subscription states grant access, and for how long an unpaid invoice
+// is tolerated (grace period) before access is cut off. Configured with environment variables.
+const DAY_MS = 24 * 3600 * 1000;
+
+function nonNegativeInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+/**
+ * Current policy:
+ *   graceDays        - days after the latest invoice fell due that past_due / awaiting_payment keep access
+ *   trialGrantsAccess - whether trialing subscriptions have access
+ *   dunningDays      - days after the due date on which to resend the open invoice (see lib/dunning.js)
+ */
+function getAccessPolicy() {
+  const dunningDays = (process.env.DUNNING_REMINDER_DAYS || '')
+    .split(',')
+    .map(day => nonNegativeInt(day.trim(), null))
+    .filter(day => day !== null);
+
+  return {
+    graceDays: {
+      past_due: nonNegativeInt(process.env.GRACE_DAYS_PAST_DUE, 0),
+      awaiting_payment: nonNegativeInt(process.env.GRACE_DAYS_AWAITING_PAYMENT, 0)
+    },
+    trialGrantsAccess: process.env.TRIAL_GRANTS_ACCESS !== 'false',
+    dunningDays: [...new Set(dunningDays)].sort((a, b) => a - b)
+  };
+}
+
+/**
+ * Decides whether the user has access right now and why.
+ * Returns { hasAccess, reason, graceUntil } where reason is one of:
+ *   active, trialing, grace_period, lifetime  (access)
+ *   period_ended, trial_excluded, past_due,
+ *   awaiting_payment, canceled, no_subscription (no access)
+ * graceUntil is set for past_due / awaiting_payment users when a grace period applies.
+ * A lifetime purchase (users.lifetime_plan) grants access whenever the subscription does not.
+ */
+function evaluateAccess(user, now = new Date(), policy = getAccessPolicy()) {
+  const access = evaluateSubscription(user, now, policy);
+  if (!access.hasAccess && user.lifetime_plan) {
+    return { hasAccess: true, reason: 'lifetime', graceUntil: null };
+  }
+  return access;
+}
+
+function evaluateSubscription(user, now, policy) {
+  const periodEnd = user.current_period_end ? new Date(user.current_period_end) : null;
+  const inPeriod = Boolean(periodEnd) && periodEnd > now;
+
+  switch (user.status) {
+    case 'active':
+      return { hasAccess: inPeriod, reason: inPeriod ? 'active' : 'period_ended', graceUntil: null };
+
+    case 'trialing':
+      if (!policy.trialGrantsAccess) {
+        return { hasAccess: false, reason: 'trial_excluded', graceUntil: null };
+      }
+      return { hasAccess: inPeriod, reason: inPeriod ? 'trialing' : 'period_ended', graceUntil: null };
+
+    case 'past_due':
+    case 'awaiting_payment': {
+      const days = policy.graceDays[user.status];
+      const dueAt = user.latest_invoice_due_at ? new Date(user.latest_invoice_due_at) : null;
+      if (!days || !dueAt) {
+        return { hasAccess: false, reason: user.status, graceUntil: null };
+      }
+
+      const graceUntil = new Date(dueAt.getTime() + days * DAY_MS);
+      const inGrace = graceUntil > now;
+      return {
+        hasAccess: inGrace,
+        reason: inGrace ? 'grace_period' : user.status,
+        graceUntil: graceUntil.toISOString()
+      };
+    }
+
+    case 'canceled':
+      return { hasAccess: false, reason: 'canceled', graceUntil: null };
+
+    default:
+      return { hasAccess: false, reason: 'no_subscription', graceUntil: null };
+  }
+}
+
+module.exports = {
+  DAY_MS,
+  getAccessPolicy,
+  evaluateAccess
+};
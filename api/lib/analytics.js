@@ -0,0 +1,152 @@
+// Subscription analytics computed in Postgres from the stored Stripe events (see the
+// analytics_summary and analytics_timeseries functions in the README). Amounts are in the
+// smallest currency unit and only count prices in the requested currency.
+const supabase = require('./supabase');
+const { getPlans } = require('./plans');
+const { currentTenantId } = require('./tenants');
+
+const BUCKETS = ['day', 'week', 'month'];
+const MAX_BUCKETS = 1000;
+
+const BUCKET_DAYS = { day: 1, week: 7, month: 28 };
+
+// Currency of the first priced plan, so single-currency catalogs need no parameter
+function defaultCurrency() {
+  for (const plan of getPlans()) {
+    const price = Object.values(plan.prices).find(p => p.currency);
+    if (price) return price.currency;
+  }
+  return 'usd';
+}
+
+/**
+ * Resolves the reporting window from YYYY-MM-DD dates (endDate is inclusive).
+ * Defaults to the last 30 days. Returns { start, end } or { error }.
+ */
+function resolvePeriod({ startDate, endDate, bucket = 'day' }) {
+  const end = endDate ? new Date(`${endDate}T00:00:00Z`) : new Date();
+  if (endDate) end.setUTCDate(end.getUTCDate() + 1);
+
+  const start = startDate ? new Date(`${startDate}T00:00:00Z`) : new Date(end.getTime() - 30 * 24 * 3600 * 1000);
+
+  if (start >= end) {
+    return { error: 'startDate must be before endDate' };
+  }
+
+  const buckets = (end - start) / (BUCKET_DAYS[bucket] * 24 * 3600 * 1000);
+  if (buckets > MAX_BUCKETS) {
+    return { error: `Range too large for ${bucket} buckets (max ${MAX_BUCKETS}); use a coarser bucket` };
+  }
+
+  return { start, end };
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 10000) / 10000 : null;
+}
+
+/**
+ * Headline metrics for the period: MRR/ARR at the end of it, new and churned subscriptions,
+ * trial conversion and past_due recovery, plus user counts.
+ */
+async function getSummary({ start, end, currency }) {
+  const { data, error } = await supabase.rpc('analytics_summary', {
+    p_tenant_id: currentTenantId(),
+    p_start: start.toISOString(),
+    p_end: end.toISOString(),
+    p_currency: currency
+  });
+
+  if (error) throw error;
+
+  const usersByStatus = data.users_by_status || {};
+
+  return {
+    period: { start: start.toISOString(), end: end.toISOString() },
+    currency,
+    mrr: data.mrr,
+    arr: data.mrr * 12,
+    revenue: data.revenue,
+    subscriptions: {
+      active: data.active_subscriptions,
+      trialing: data.trialing_subscriptions,
+      active_at_start: data.active_at_start,
+      new: data.new_subscriptions,
+      churned: data.churned_subscriptions,
+      churn_rate: ratio(data.churned_subscriptions, data.active_at_start)
+    },
+    trials: {
+      ended: data.trials_ended,
+      converted: data.trials_converted,
+      conversion_rate: ratio(data.trials_converted, data.trials_ended)
+    },
+    past_due: {
+      subscriptions: data.past_due_subscriptions,
+      recovered: data.past_due_recovered,
+      recovery_rate: ratio(data.past_due_recovered, data.past_due_subscriptions)
+    },
+    users: {
+      total: Object.values(usersByStatus).reduce((sum, count) => sum + count, 0),
+      new: data.new_users,
+      by_status: usersByStatus,
+      by_plan: data.users_by_plan || {}
+    }
+  };
+}
+
+/**
+ * One row per bucket (day, week or month) in the period, including empty buckets.
+ */
+async function getTimeSeries({ start, end, bucket, currency }) {
+  const { data, error } = await supabase.rpc('analytics_timeseries', {
+    p_tenant_id: currentTenantId(),
+    p_start: start.toISOString(),
+    p_end: end.toISOString(),
+    p_bucket: bucket,
+    p_currency: currency
+  });
+
+  if (error) throw error;
+
+  return (data || []).map(row => ({
+    bucket_start: new Date(row.bucket_start).toISOString(),
+    mrr: Number(row.mrr),
+    revenue: Number(row.revenue),
+    new_subscriptions: Number(row.new_subscriptions),
+    churned_subscriptions: Number(row.churned_subscriptions),
+    payments_succeeded: Number(row.payments_succeeded),
+    payments_failed: Number(row.payments_failed)
+  }));
+}
+
+// Flattens the summary into metric,value rows ('subscriptions.churn_rate', ...)
+function flattenSummary(summary, prefix = '') {
+  return Object.entries(summary).flatMap(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    return value !== null && typeof value === 'object'
+      ? flattenSummary(value, name)
+      : [{ metric: name, value }];
+  });
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => csvValue(row[column])).join(',')));
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  BUCKETS,
+  defaultCurrency,
+  resolvePeriod,
+  getSummary,
+  getTimeSeries,
+  flattenSummary,
+  toCsv
+};
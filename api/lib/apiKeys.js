@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const supabase = require('./supabase');
+const logger = require('./logger');
+
+// Scopes a key can be granted. '*' grants everything.
+// identity:assert lets a key name end users by raw email instead of a verified session token.
+// tenants:admin manages tenants (see lib/tenants.js) and only works on default-tenant keys.
+const SCOPES = [
+  'access:read',
+  'usage:write',
+  'users:read',
+  'users:write',
+  'billing:write',
+  'billing:admin',
+  'keys:admin',
+  'identity:assert',
+  'tenants:admin'
+];
+
+const KEY_PREFIX = 'gpk_';
+
+function hashKey(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function isValidScope(scope) {
+  return scope === '*' || SCOPES.includes(scope) || /^[a-z]+:\*$/.test(scope);
+}
+
+/**
+ * Whether a granted scope list covers the required scope.
+ * Supports the global '*' and resource wildcards like 'users:*'.
+ */
+function hasScope(grantedScopes = [], requiredScope) {
+  if (!requiredScope) return true;
+  const [resource] = requiredScope.split(':');
+  return grantedScopes.some(scope =>
+    scope === '*' || scope === requiredScope || scope === `${resource}:*`
+  );
+}
+
+// Public shape of a key row (never exposes the hash)
+function serializeKey(row) {
+  return {
+    id: row.id,
+    label: row.label,
+    owner: row.owner,
+    tenant_id: row.tenant_id,
+    scopes: row.scopes || [],
+    key_prefix: row.key_prefix,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+    revoked_at: row.revoked_at
+  };
+}
+
+async function findActiveKey(rawKey) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select('*')
+    .eq('key_hash', hashKey(rawKey))
+    .is('revoked_at', null)
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+async function touchLastUsed(id) {
+  const { error } = await supabase
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) logger.error('Error updating api key last_used_at', { error });
+}
+
+/**
+ * Mints a new key. The plaintext key is only returned here; only its hash is stored.
+ */
+async function createApiKey({ label, owner = null, scopes = [] }) {
+  const rawKey = generateKey();
+
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert([{
+      key_hash: hashKey(rawKey),
+      key_prefix: rawKey.substring(0, KEY_PREFIX.length + 4),
+      label,
+      owner,
+      scopes
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return { key: rawKey, record: serializeKey(data) };
+}
+
+async function listApiKeys({ includeRevoked = false } = {}) {
+  let query = supabase
+    .from('api_keys')
+    .select('*')
+    .order('created_at', { ascending: false });
+
+  if (!includeRevoked) query = query.is('revoked_at', null);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return data.map(serializeKey);
+}
+
+async function revokeApiKey(id) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('revoked_at', null)
+    .select();
+
+  if (error) throw error;
+  return data && data.length > 0 ? serializeKey(data[0]) : null;
+}
+
+module.exports = {
+  SCOPES,
+  hashKey,
+  hasScope,
+  isValidScope,
+  findActiveKey,
+  touchLastUsed,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+};
@@ -0,0 +1,119 @@
+// Audit trail for changes to user rows: who (actor), what (action) and the field-level diff.
+const supabase = require('./supabase');
+const { currentTenantId } = require('./tenants');
+const logger = require('./logger');
+
+// Bookkeeping columns left out of diffs
+const IGNORED_FIELDS = ['updated_at', 'last_stripe_event_at'];
+
+const SYSTEM_ACTOR = { type: 'system', id: null, label: 'system' };
+
+/**
+ * Actor for a change made through the API: the OAuth client or API key behind the request.
+ */
+function requestActor(req) {
+  if (req.oauth) return { type: 'oauth', id: req.oauth.clientId, label: req.apiKey.label };
+  if (req.apiKey) return { type: 'api_key', id: req.apiKey.id, label: req.apiKey.label };
+  return SYSTEM_ACTOR;
+}
+
+// Actor for a change applied from a Stripe webhook (including replays)
+function eventActor(event) {
+  return { type: 'stripe_event', id: event.id, label: event.type };
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Field-level diff between two versions of a row: { field: { from, to } }.
+ * A missing `before` (create) or `after` (delete) diffs against nulls.
+ */
+function diffRows(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+    if (!sameValue(from, to)) changes[field] = { from, to };
+  });
+
+  return changes;
+}
+
+/**
+ * Records a change to one user row. Best effort: the change has already been written, so a
+ * failure here is logged rather than failing the request or webhook.
+ */
+async function recordAudit({ actor = SYSTEM_ACTOR, action, before = null, after = null }) {
+  const row = after || before;
+  if (!row) return;
+
+  const changes = diffRows(before, after);
+  if (before && after && Object.keys(changes).length === 0) return;
+
+  const { error } = await supabase
+    .from('audit_log')
+    .insert([{
+      tenant_id: row.tenant_id || currentTenantId(),
+      user_id: row.id,
+      email: row.email ? row.email.toLowerCase() : null,
+      action,
+      actor_type: actor.type,
+      actor_id: actor.id,
+      actor_label: actor.label,
+      changes,
+      request_id: logger.getRequestId()
+    }]);
+
+  if (error) logger.error('Error writing audit log', { error, action, user_id: row.id });
+}
+
+/**
+ * Audits several changes, pairing rows by id (before and after are arrays of rows).
+ */
+async function recordAuditRows({ actor, action, before = [], after = [] }) {
+  const beforeById = new Map(before.map(row => [row.id, row]));
+  const afterById = new Map(after.map(row => [row.id, row]));
+  const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+
+  await Promise.all([...ids].map(id => recordAudit({
+    actor,
+    action,
+    before: beforeById.get(id) || null,
+    after: afterById.get(id) || null
+  })));
+}
+
+/**
+ * History for a user, newest first. Looks up by user id when the user still exists (which also
+ * covers entries from before an email change), otherwise by email (e.g. after a delete).
+ */
+async function getHistory({ userId, email, limit = 50, before }) {
+  let query = supabase
+    .from('audit_log')
+    .select('id, action, actor_type, actor_id, actor_label, changes, request_id, created_at')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  query = userId ? query.eq('user_id', userId) : query.eq('email', email.toLowerCase());
+  if (before) query = query.lt('created_at', before);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  SYSTEM_ACTOR,
+  requestActor,
+  eventActor,
+  diffRows,
+  recordAudit,
+  recordAuditRows,
+  getHistory
+};
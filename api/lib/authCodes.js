@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const supabase = require('./supabase');
+const { normalizeEmail, hashCode } = require('./sessions');
+
+const CODE_TTL_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+const RESEND_INTERVAL_SECONDS = 60;
+
+function generateCode() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+async function latestCode(email) {
+  const { data, error } = await supabase
+    .from('auth_codes')
+    .select('*')
+    .eq('email', normalizeEmail(email))
+    .is('consumed_at', null)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Creates a one-time code for the email. Returns { code } or { error, retryAfter }
+ * when a code was issued too recently.
+ */
+async function createCode(email) {
+  const previous = await latestCode(email);
+  if (previous) {
+    const elapsed = (Date.now() - new Date(previous.created_at).getTime()) / 1000;
+    if (elapsed < RESEND_INTERVAL_SECONDS) {
+      return { error: 'A code was sent recently', retryAfter: Math.ceil(RESEND_INTERVAL_SECONDS - elapsed) };
+    }
+  }
+
+  const code = generateCode();
+  const { error } = await supabase
+    .from('auth_codes')
+    .insert([{
+      email: normalizeEmail(email),
+      code_hash: hashCode(email, code),
+      expires_at: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000).toISOString(),
+      attempts: 0
+    }]);
+
+  if (error) throw error;
+  return { code, expiresInMinutes: CODE_TTL_MINUTES };
+}
+
+/**
+ * Checks a code against the latest unconsumed one. Returns { valid } or { valid: false, error }.
+ */
+async function verifyCode(email, code) {
+  const record = await latestCode(email);
+
+  if (!record || new Date(record.expires_at) < new Date()) {
+    return { valid: false, error: 'Code expired or not found; request a new one' };
+  }
+
+  // Every guess is counted in the database before the code is checked, so parallel
+  // guesses cannot all slip in under the limit
+  const { data: attempts, error: attemptError } = await supabase.rpc('auth_code_attempt', {
+    p_id: record.id,
+    p_max_attempts: MAX_ATTEMPTS
+  });
+
+  if (attemptError) throw attemptError;
+  if (!attempts) {
+    return { valid: false, error: 'Too many attempts; request a new code' };
+  }
+
+  const a = Buffer.from(hashCode(email, String(code).trim()));
+  const b = Buffer.from(record.code_hash);
+  const matches = a.length === b.length && crypto.timingSafeEqual(a, b);
+
+  if (!matches) {
+    return { valid: false, error: 'Invalid code' };
+  }
+
+  // Consuming atomically makes a code verified twice in parallel succeed only once
+  const { data, error } = await supabase
+    .from('auth_codes')
+    .update({ consumed_at: new Date().toISOString() })
+    .eq('id', record.id)
+    .is('consumed_at', null)
+    .select();
+
+  if (error) throw error;
+
+  return data && data.length > 0
+    ? { valid: true }
+    : { valid: false, error: 'Code expired or not found; request a new one' };
+}
+
+module.exports = {
+  createCode,
+  verifyCode
+};
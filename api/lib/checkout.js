@@ -0,0 +1,199 @@
+// Checkout service behind POST /api/stripe/create-checkout-session. Two subscription modes:
+//   hosted  - a Stripe Checkout session; the user subscribes on Stripe's payment page
+//   invoice - a send_invoice subscription; Stripe emails invoices the user pays by link
+// and payment mode for one-time products (see lib/products.js), always on a Checkout page.
+const stripe = require('./stripeClient');
+const { currentTenant } = require('./tenantContext');
+const { DEFAULT_TENANT_ID, defaultTenant } = require('./tenants');
+const logger = require('./logger');
+
+const CHECKOUT_MODES = ['hosted', 'invoice'];
+const PAYMENT_MODE = 'payment';
+
+// CHECKOUT_MODE picks the mode when the request does not (invoice unless set)
+function defaultCheckoutMode() {
+  return CHECKOUT_MODES.includes(process.env.CHECKOUT_MODE) ? process.env.CHECKOUT_MODE : 'invoice';
+}
+
+function getDaysUntilDue() {
+  // User requested 0 days grace period (due immediately)
+  // If Stripe requires >= 1, we might need to adjust, but trying 0 as requested.
+  const parsed = parseInt(process.env.STRIPE_DAYS_UNTIL_DUE || '0', 10);
+  if (Number.isNaN(parsed)) {
+    return 0;
+  }
+  return Math.max(parsed, 0);
+}
+
+// Trial length from the plan catalog; CHECKOUT_TRIAL_DAYS overrides it for every plan (0 disables trials)
+function trialDays(plan) {
+  const override = parseInt(process.env.CHECKOUT_TRIAL_DAYS, 10);
+  return Number.isNaN(override) ? plan.trial_days : Math.max(override, 0);
+}
+
+/**
+ * Where hosted Checkout sends the user afterwards: the /success and /cancel pages on baseUrl,
+ * unless the tenant sets its own URLs (CHECKOUT_SUCCESS_URL / CHECKOUT_CANCEL_URL for the default
+ * tenant). A custom success URL should keep the {CHECKOUT_SESSION_ID} placeholder so the session
+ * can be verified. Other tenants' /success links name the tenant, whose Stripe account has the session.
+ */
+function returnUrls(baseUrl) {
+  const tenant = currentTenant() || defaultTenant();
+  const tenantParam = tenant.id === DEFAULT_TENANT_ID ? '' : `&tenant=${encodeURIComponent(tenant.id)}`;
+
+  return {
+    successUrl: tenant.successUrl || `${baseUrl}/success?session_id={CHECKOUT_SESSION_ID}${tenantParam}`,
+    cancelUrl: tenant.cancelUrl || `${baseUrl}/cancel`
+  };
+}
+
+/**
+ * The user's Stripe customer: the stored one, else one with the same email, else a new one.
+ */
+async function findOrCreateCustomer(user, email) {
+  if (user.stripe_customer_id) {
+    try {
+      const customer = await stripe.customers.retrieve(user.stripe_customer_id);
+      if (customer && !customer.deleted) return customer;
+    } catch (err) {
+      logger.warn('Stored Stripe customer not found, recreating', { error: err.message });
+    }
+  }
+
+  const customers = await stripe.customers.list({ email, limit: 1 });
+  if (customers.data.length > 0) {
+    return customers.data[0];
+  }
+
+  return stripe.customers.create({
+    email,
+    metadata: {
+      source: 'gpt_paywall'
+    }
+  });
+}
+
+// The customer's active or trialing subscription, if any
+async function findLiveSubscription(customerId) {
+  const subscriptions = await stripe.subscriptions.list({
+    customer: customerId,
+    status: 'all',
+    limit: 10
+  });
+
+  return subscriptions.data.find(sub => sub.status === 'active' || sub.status === 'trialing') || null;
+}
+
+function checkoutMetadata({ email, plan, interval }) {
+  return {
+    email,
+    plan: plan.key,
+    interval,
+    source: 'gpt_paywall'
+  };
+}
+
+// quantity is the number of seats (see lib/organizations.js)
+async function createInvoiceSubscription({ customer, email, plan, price, interval, promotionCode, quantity = 1 }) {
+  const days = trialDays(plan);
+
+  return stripe.subscriptions.create({
+    customer: customer.id,
+    items: [
+      {
+        price: price.price_id,
+        quantity
+      }
+    ],
+    ...(days > 0 && { trial_period_days: days }),
+    collection_method: 'send_invoice',
+    days_until_due: getDaysUntilDue(),
+    ...(promotionCode && { promotion_code: promotionCode.id }),
+    metadata: checkoutMetadata({ email, plan, interval }),
+    expand: ['latest_invoice']
+  });
+}
+
+// Without a promotion code, the user can still enter one on the Checkout page
+async function createHostedSession({ customer, user, email, plan, price, interval, baseUrl, promotionCode, quantity = 1 }) {
+  const days = trialDays(plan);
+  const { successUrl, cancelUrl } = returnUrls(baseUrl);
+
+  return stripe.checkout.sessions.create({
+    mode: 'subscription',
+    customer: customer.id,
+    client_reference_id: String(user.id),
+    ...(promotionCode ? { discounts: [{ promotion_code: promotionCode.id }] } : { allow_promotion_codes: true }),
+    payment_method_collection: 'if_required',
+    line_items: [
+      {
+        price: price.price_id,
+        quantity
+      }
+    ],
+    subscription_data: {
+      ...(days > 0 && { trial_period_days: days }),
+      metadata: checkoutMetadata({ email, plan, interval })
+    },
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    metadata: checkoutMetadata({ email, plan, interval })
+  });
+}
+
+// Read back by fulfillPurchase in lib/credits.js, from the session or its payment intent
+function purchaseMetadata({ user, email, product }) {
+  return {
+    email,
+    user_id: String(user.id),
+    product: product.key,
+    ...(product.type === 'lifetime' ? { lifetime_plan: product.lifetime_plan } : { credits: String(product.credits) }),
+    source: 'gpt_paywall'
+  };
+}
+
+async function createPaymentSession({ customer, user, email, product, baseUrl, promotionCode }) {
+  const { successUrl, cancelUrl } = returnUrls(baseUrl);
+  const metadata = purchaseMetadata({ user, email, product });
+
+  return stripe.checkout.sessions.create({
+    mode: 'payment',
+    customer: customer.id,
+    client_reference_id: String(user.id),
+    ...(promotionCode ? { discounts: [{ promotion_code: promotionCode.id }] } : { allow_promotion_codes: true }),
+    line_items: [
+      {
+        price: product.price_id,
+        quantity: 1
+      }
+    ],
+    payment_intent_data: { metadata },
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    metadata
+  });
+}
+
+/**
+ * Link where the user can pay the subscription's open invoice, or null when nothing is owed yet
+ * (e.g. during a trial).
+ */
+async function invoicePaymentUrl(subscription) {
+  let invoice = subscription.latest_invoice;
+  if (!invoice) return null;
+  if (typeof invoice === 'string') invoice = await stripe.invoices.retrieve(invoice);
+  return invoice.status === 'open' ? invoice.hosted_invoice_url || null : null;
+}
+
+module.exports = {
+  CHECKOUT_MODES,
+  PAYMENT_MODE,
+  defaultCheckoutMode,
+  returnUrls,
+  findOrCreateCustomer,
+  findLiveSubscription,
+  createInvoiceSubscription,
+  createHostedSession,
+  createPaymentSession,
+  invoicePaymentUrl
+};
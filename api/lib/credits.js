@@ -0,0 +1,219 @@
+// Credit ledger for one-time purchases (see lib/products.js). Every grant, consumption and refund
+// is a row in credit_ledger; the balance is their sum. A purchase is fulfilled from whichever of
+// checkout.session.completed, payment_intent.succeeded or the /success page arrives first: the
+// grant's idempotency key makes the others no-ops. Lifetime purchases also set users.lifetime_plan.
+const supabase = require('./supabase');
+const { recordAuditRows } = require('./audit');
+const { currentTenantId } = require('./tenants');
+const logger = require('./logger');
+
+async function findUser(userId) {
+  if (!userId) return null;
+  const { data, error } = await supabase.from('users').select('*').eq('id', userId).limit(1);
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+async function insertEntry(entry) {
+  const { data, error } = await supabase.from('credit_ledger').insert([entry]).select().single();
+
+  // Unique violation on idempotency_key: already recorded
+  if (error && error.code === '23505') return null;
+  if (error) throw error;
+  return data;
+}
+
+async function getCreditBalance(userId) {
+  const { data, error } = await supabase
+    .from('credit_ledger')
+    .select('credits')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return (data || []).reduce((sum, entry) => sum + entry.credits, 0);
+}
+
+/**
+ * Atomically spends credits. Returns { allowed, balance }; allowed is false when the balance is
+ * too low, and nothing is recorded.
+ */
+async function consumeCredits(user, amount, metric) {
+  const { data: balance, error } = await supabase.rpc('consume_credits', {
+    p_tenant_id: currentTenantId(),
+    p_user_id: user.id,
+    p_amount: amount,
+    p_metric: metric
+  });
+
+  if (error) throw error;
+
+  // consume_credits returns null when the balance does not cover the amount
+  if (balance === null || balance === undefined) {
+    return { allowed: false, balance: await getCreditBalance(user.id) };
+  }
+
+  return { allowed: true, balance };
+}
+
+async function setLifetimePlan(user, plan, { actor, action }) {
+  if (user.lifetime_plan === plan) return;
+
+  const { data, error } = await supabase
+    .from('users')
+    .update({ lifetime_plan: plan, updated_at: new Date().toISOString() })
+    .eq('id', user.id)
+    .select();
+
+  if (error) throw error;
+  await recordAuditRows({ actor, action, before: [user], after: data });
+}
+
+async function hasRefund(paymentId) {
+  const { data, error } = await supabase
+    .from('credit_ledger')
+    .select('id')
+    .eq('payment_intent_id', paymentId)
+    .eq('kind', 'refund')
+    .limit(1);
+
+  if (error) throw error;
+  return Boolean(data && data.length > 0);
+}
+
+/**
+ * Grants a paid purchase from the metadata set at checkout (see purchaseMetadata in lib/checkout.js).
+ * paymentId is the payment intent, or the Checkout session when nothing was charged.
+ * Returns { status } where status is ignored (not a purchase), unmatched (no such user),
+ * duplicate or granted.
+ */
+async function fulfillPurchase({ metadata, paymentId, actor }) {
+  if (!metadata || !metadata.product) return { status: 'ignored' };
+
+  const user = await findUser(metadata.user_id);
+  if (!user) {
+    logger.warn('No user found for purchase', { payment_id: paymentId, product: metadata.product });
+    return { status: 'unmatched' };
+  }
+
+  const lifetimePlan = metadata.lifetime_plan || null;
+
+  const entry = await insertEntry({
+    user_id: user.id,
+    kind: 'grant',
+    credits: lifetimePlan ? 0 : parseInt(metadata.credits, 10) || 0,
+    product: metadata.product,
+    payment_intent_id: paymentId,
+    idempotency_key: `grant:${paymentId}`
+  });
+
+  // Also on a duplicate, in case an earlier attempt failed here, unless the purchase was refunded since
+  if (lifetimePlan && (entry || !(await hasRefund(paymentId)))) {
+    await setLifetimePlan(user, lifetimePlan, { actor, action: 'purchase.lifetime' });
+  }
+
+  if (!entry) return { status: 'duplicate' };
+
+  logger.info('Purchase fulfilled', { user_id: user.id, product: metadata.product, credits: entry.credits });
+  return { status: 'granted', entry };
+}
+
+/**
+ * Takes back a refunded purchase: credits in proportion to the amount refunded so far, and
+ * lifetime access once the charge is fully refunded. Called for every charge.refunded event.
+ * Returns { status } where status is ignored (not a purchase) or refunded.
+ */
+async function refundPurchase(charge, { actor }) {
+  const { data: entries, error } = await supabase
+    .from('credit_ledger')
+    .select('*')
+    .eq('payment_intent_id', charge.payment_intent);
+
+  if (error) throw error;
+
+  const grant = (entries || []).find(entry => entry.kind === 'grant');
+  if (!grant) return { status: 'ignored' };
+
+  // Lifetime grants carry no credits; credit packs always grant some
+  const lifetime = grant.credits === 0;
+
+  const fullyRefunded = charge.refunded || charge.amount_refunded >= charge.amount;
+  const fraction = fullyRefunded ? 1 : charge.amount_refunded / charge.amount;
+  const alreadyRevoked = -entries
+    .filter(entry => entry.kind === 'refund')
+    .reduce((sum, entry) => sum + entry.credits, 0);
+  const revoke = Math.round(grant.credits * fraction) - alreadyRevoked;
+
+  // A partial refund of a lifetime purchase keeps access; a full one records a zero-credit refund
+  if (revoke > 0 || (fullyRefunded && lifetime)) {
+    await insertEntry({
+      user_id: grant.user_id,
+      kind: 'refund',
+      credits: -Math.max(revoke, 0),
+      product: grant.product,
+      payment_intent_id: grant.payment_intent_id,
+      idempotency_key: `refund:${grant.payment_intent_id}:${charge.amount_refunded}`
+    });
+  }
+
+  if (fullyRefunded && lifetime) {
+    await revokeLifetimeAccess(grant.user_id, { actor });
+  }
+
+  logger.info('Purchase refunded', { user_id: grant.user_id, product: grant.product, credits_revoked: Math.max(revoke, 0) });
+  return { status: 'refunded' };
+}
+
+// Clears lifetime access unless another lifetime purchase is still unrefunded
+async function revokeLifetimeAccess(userId, { actor }) {
+  const user = await findUser(userId);
+  if (!user || !user.lifetime_plan) return;
+
+  const { data: entries, error } = await supabase
+    .from('credit_ledger')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('credits', 0);
+
+  if (error) throw error;
+
+  const refunded = new Set(entries.filter(entry => entry.kind === 'refund').map(entry => entry.payment_intent_id));
+  const remaining = entries.filter(entry => entry.kind === 'grant' && !refunded.has(entry.payment_intent_id));
+
+  if (remaining.length === 0) {
+    await setLifetimePlan(user, null, { actor, action: 'purchase.refund' });
+  }
+}
+
+/**
+ * Balance and recent ledger entries for the credits endpoint.
+ */
+async function getCreditSummary(user, { limit = 20 } = {}) {
+  const { data, error } = await supabase
+    .from('credit_ledger')
+    .select('*')
+    .eq('user_id', user.id)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+
+  return {
+    balance: await getCreditBalance(user.id),
+    lifetime_plan: user.lifetime_plan || null,
+    entries: (data || []).map(entry => ({
+      kind: entry.kind,
+      credits: entry.credits,
+      product: entry.product || null,
+      metric: entry.metric || null,
+      created_at: entry.created_at
+    }))
+  };
+}
+
+module.exports = {
+  getCreditBalance,
+  consumeCredits,
+  fulfillPurchase,
+  refundPurchase,
+  getCreditSummary
+};
@@ -0,0 +1,117 @@
+// Dunning: resends open send_invoice invoices to past_due / awaiting_payment users on the days
+// set by DUNNING_REMINDER_DAYS (counted from the invoice due date). Each (invoice, day) reminder
+// is claimed in dunning_reminders first, so overlapping runs never send it twice.
+const stripe = require('./stripeClient');
+const supabase = require('./supabase');
+const { DAY_MS, getAccessPolicy } = require('./accessPolicy');
+const logger = require('./logger');
+
+async function reminderSent(invoiceId, day) {
+  const { data, error } = await supabase
+    .from('dunning_reminders')
+    .select('invoice_id')
+    .eq('invoice_id', invoiceId)
+    .eq('reminder_day', day)
+    .limit(1);
+
+  if (error) throw error;
+  return Boolean(data && data.length > 0);
+}
+
+// Returns false when another run already claimed this reminder
+async function claimReminder(user, invoiceId, day) {
+  const { error } = await supabase
+    .from('dunning_reminders')
+    .insert([{ invoice_id: invoiceId, reminder_day: day, user_id: user.id }]);
+
+  if (!error) return true;
+  if (error.code === '23505') return false;
+  throw error;
+}
+
+async function releaseReminder(invoiceId, day) {
+  const { error } = await supabase
+    .from('dunning_reminders')
+    .delete()
+    .eq('invoice_id', invoiceId)
+    .eq('reminder_day', day);
+
+  if (error) logger.error('Error releasing dunning reminder', { error, invoice_id: invoiceId });
+}
+
+/**
+ * Sends the reminders that are due. Only the latest scheduled day that has passed is sent,
+ * so a missed run does not send a burst of reminders. Returns a summary report.
+ */
+async function runDunning({ dryRun = false, now = new Date() } = {}) {
+  const { dunningDays } = getAccessPolicy();
+  const summary = { dry_run: dryRun, schedule: dunningDays, checked: 0, sent: 0, skipped: 0, errors: 0, reminders: [] };
+
+  if (dunningDays.length === 0) return summary;
+
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('id, email, status, latest_invoice_id, latest_invoice_due_at')
+    .in('status', ['past_due', 'awaiting_payment'])
+    .eq('latest_invoice_status', 'open')
+    .not('latest_invoice_due_at', 'is', null);
+
+  if (error) throw error;
+
+  for (const user of users || []) {
+    summary.checked++;
+
+    const daysOverdue = Math.floor((now - new Date(user.latest_invoice_due_at)) / DAY_MS);
+    const day = dunningDays.filter(scheduled => scheduled <= daysOverdue).pop();
+    if (day === undefined) continue;
+
+    const invoiceId = user.latest_invoice_id;
+    const reminder = { user_id: user.id, email: user.email, invoice_id: invoiceId, day, days_overdue: daysOverdue, sent: false };
+
+    try {
+      if (await reminderSent(invoiceId, day)) continue;
+
+      // The row may lag behind Stripe; only open send_invoice invoices can be resent
+      const invoice = await stripe.invoices.retrieve(invoiceId);
+      if (invoice.status !== 'open' || invoice.collection_method !== 'send_invoice') {
+        summary.skipped++;
+        continue;
+      }
+
+      if (!dryRun) {
+        if (!(await claimReminder(user, invoiceId, day))) continue;
+
+        try {
+          await stripe.invoices.sendInvoice(invoiceId);
+        } catch (sendError) {
+          await releaseReminder(invoiceId, day);
+          throw sendError;
+        }
+
+        reminder.sent = true;
+        summary.sent++;
+        logger.info('Dunning reminder sent', { user_id: user.id, invoice_id: invoiceId, day });
+      }
+
+      summary.reminders.push(reminder);
+    } catch (reminderError) {
+      summary.errors++;
+      logger.error('Error sending dunning reminder', { error: reminderError, user_id: user.id, invoice_id: invoiceId });
+      summary.reminders.push({ ...reminder, error: reminderError.message });
+    }
+  }
+
+  logger.info('Dunning run finished', {
+    dry_run: dryRun,
+    checked: summary.checked,
+    sent: summary.sent,
+    skipped: summary.skipped,
+    errors: summary.errors
+  });
+
+  return summary;
+}
+
+module.exports = {
+  runDunning
+};
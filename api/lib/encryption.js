@@ -0,0 +1,42 @@
+// Encrypts secrets stored in the database (tenant Stripe keys) with AES-256-GCM.
+// TENANT_ENCRYPTION_KEY is 32 bytes, base64 or hex encoded (e.g. `openssl rand -base64 32`).
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+
+function encryptionKey() {
+  const raw = process.env.TENANT_ENCRYPTION_KEY;
+  if (!raw) {
+    throw new Error('TENANT_ENCRYPTION_KEY environment variable is not set');
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new Error('TENANT_ENCRYPTION_KEY must be 32 bytes (base64 or hex)');
+  }
+  return key;
+}
+
+// Returns "v1:<iv>:<tag>:<ciphertext>" (base64 parts)
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function decrypt(payload) {
+  const [version, iv, tag, ciphertext] = String(payload).split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unrecognized encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,118 @@
+const supabase = require('./supabase');
+const { getPlan } = require('./plans');
+const { evaluateAccess } = require('./accessPolicy');
+const { currentTenantId } = require('./tenants');
+
+// Limit passed to consume_usage for unlimited (null) quotas
+const UNLIMITED = 2147483647;
+
+/**
+ * Whether the user's subscription currently grants access (including a grace period, see lib/accessPolicy.js).
+ */
+function hasActiveSubscription(user, now = new Date()) {
+  return evaluateAccess(user, now).hasAccess;
+}
+
+// Users without access fall back to the free plan's entitlements (if the catalog has one)
+function effectivePlan(user, now = new Date()) {
+  const access = evaluateAccess(user, now);
+  if (!access.hasAccess) return getPlan('free');
+  return getPlan(access.reason === 'lifetime' ? user.lifetime_plan : user.plan);
+}
+
+/**
+ * End of the quota period: the billing period while subscribed, else the end of the calendar month (UTC).
+ * Usage counters are keyed by this value, so a new billing period starts a fresh counter.
+ */
+function quotaPeriodEnd(user, now = new Date()) {
+  // During a grace period the billing period may already have ended
+  if (hasActiveSubscription(user, now) && user.current_period_end && new Date(user.current_period_end) > now) {
+    return new Date(user.current_period_end).toISOString();
+  }
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString();
+}
+
+async function getUsage(user, periodEnd) {
+  const { data, error } = await supabase
+    .from('usage_counters')
+    .select('metric, used')
+    .eq('user_id', user.id)
+    .eq('period_end', periodEnd);
+
+  if (error) throw error;
+
+  const usage = {};
+  (data || []).forEach(row => {
+    usage[row.metric] = row.used;
+  });
+  return usage;
+}
+
+function quotaStatus(limit, used, periodEnd) {
+  return {
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(limit - used, 0),
+    resets_at: periodEnd
+  };
+}
+
+/**
+ * Features and remaining quotas the user is entitled to right now.
+ */
+async function getEntitlements(user, now = new Date()) {
+  const plan = effectivePlan(user, now);
+  if (!plan) {
+    return { plan: null, features: [], quotas: {} };
+  }
+
+  const periodEnd = quotaPeriodEnd(user, now);
+  const metrics = Object.keys(plan.quotas);
+  const usage = metrics.length > 0 ? await getUsage(user, periodEnd) : {};
+
+  const quotas = {};
+  metrics.forEach(metric => {
+    quotas[metric] = quotaStatus(plan.quotas[metric], usage[metric] || 0, periodEnd);
+  });
+
+  return { plan: plan.key, features: plan.features, quotas };
+}
+
+/**
+ * Atomically records usage against the user's quota for a metric.
+ * Returns { allowed, quota } or { allowed: false, reason } when the plan has no such quota.
+ */
+async function consumeUsage(user, metric, amount = 1, now = new Date()) {
+  const plan = effectivePlan(user, now);
+  if (!plan || !(metric in plan.quotas)) {
+    return { allowed: false, reason: 'not_included' };
+  }
+
+  const limit = plan.quotas[metric];
+  const periodEnd = quotaPeriodEnd(user, now);
+
+  const { data: used, error } = await supabase.rpc('consume_usage', {
+    p_tenant_id: currentTenantId(),
+    p_user_id: user.id,
+    p_metric: metric,
+    p_period_end: periodEnd,
+    p_amount: amount,
+    p_limit: limit === null ? UNLIMITED : limit
+  });
+
+  if (error) throw error;
+
+  // consume_usage returns null when the amount would exceed the limit
+  if (used === null || used === undefined) {
+    const usage = await getUsage(user, periodEnd);
+    return { allowed: false, reason: 'quota_exhausted', quota: quotaStatus(limit, usage[metric] || 0, periodEnd) };
+  }
+
+  return { allowed: true, quota: quotaStatus(limit, used, periodEnd) };
+}
+
+module.exports = {
+  hasActiveSubscription,
+  getEntitlements,
+  consumeUsage
+};
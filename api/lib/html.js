@@ -0,0 +1,53 @@
+// Minimal server-rendered pages (OAuth sign-in and consent, Checkout landing pages)
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function hiddenFields(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('\n      ');
+}
+
+/**
+ * Wraps body HTML in a small standalone page. `body` must already be escaped.
+ */
+function renderPage({ title, body }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f5f5f7; margin: 0; }
+    main { max-width: 420px; margin: 10vh auto; background: #fff; padding: 2rem; border-radius: 12px; box-shadow: 0 2px 12px rgba(0,0,0,.08); }
+    h1 { font-size: 1.4rem; margin-top: 0; }
+    input[type=email], input[type=text] { width: 100%; box-sizing: border-box; padding: .6rem; font-size: 1rem; margin: .5rem 0 1rem; }
+    button { padding: .6rem 1.2rem; font-size: 1rem; border-radius: 6px; border: 0; background: #635bff; color: #fff; cursor: pointer; }
+    button.secondary { background: #e3e3e8; color: #333; }
+    .error { color: #c0392b; }
+    .muted { color: #666; font-size: .9rem; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+  </main>
+</body>
+</html>`;
+}
+
+module.exports = {
+  escapeHtml,
+  hiddenFields,
+  renderPage
+};
@@ -0,0 +1,114 @@
+// Structured logger: one JSON line per entry, tagged with the current request id.
+// Redaction policy:
+//   - values under secret-looking keys (authorization, api keys, tokens, secrets, passwords, cookies) are dropped
+//   - secret-looking strings (Stripe keys, webhook secrets, our API keys and OAuth tokens) are dropped anywhere
+//   - emails follow LOG_EMAILS: 'mask' (default, j***@example.com), 'hash' (stable id for correlating) or 'plain'
+// LOG_LEVEL sets the minimum level (debug, info, warn, error; default info).
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+const SECRET_KEY_PATTERN = /authorization|cookie|password|secret|token|api[-_]?key|_hash$/i;
+const SECRET_VALUE_PATTERN = /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]+|\bwhsec_[A-Za-z0-9]+|\bgp(?:k|o|r|cs)_[A-Za-z0-9_-]+|\bBearer\s+[A-Za-z0-9._~+/=-]+/g;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+const requestContext = new AsyncLocalStorage();
+
+function minimumLevel() {
+  return LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+}
+
+function redactEmail(email) {
+  const policy = process.env.LOG_EMAILS || 'mask';
+  if (policy === 'plain') return email;
+
+  if (policy === 'hash') {
+    return `email:${crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').substring(0, 12)}`;
+  }
+
+  const [local, domain] = email.split('@');
+  return `${local.charAt(0)}***@${domain}`;
+}
+
+function redactString(value) {
+  return value
+    .replace(SECRET_VALUE_PATTERN, REDACTED)
+    .replace(EMAIL_PATTERN, redactEmail);
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactString(String(error.message)),
+    ...(error.code && { code: error.code }),
+    ...(error.type && { type: error.type }),
+    ...(error.statusCode && { status: error.statusCode }),
+    ...(process.env.NODE_ENV !== 'production' && error.stack && { stack: redactString(error.stack) })
+  };
+}
+
+/**
+ * Deep-copies a value with the redaction policy applied.
+ */
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (depth > 5) return '[Truncated]';
+
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  // Supabase and Stripe errors are plain objects with message/code
+  return Object.entries(value).reduce((result, [key, item]) => {
+    result[key] = SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1);
+    return result;
+  }, {});
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < minimumLevel()) return;
+
+  const context = requestContext.getStore();
+  const entry = {
+    level,
+    time: new Date().toISOString(),
+    msg: redactString(String(message)),
+    ...(context && { request_id: context.requestId }),
+    ...redact(fields instanceof Error ? { error: fields } : fields)
+  };
+
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+// Id of the request being handled, or null outside a request
+function getRequestId() {
+  const context = requestContext.getStore();
+  return context ? context.requestId : null;
+}
+
+/**
+ * Runs fn with a request context; every entry logged inside it carries the request id.
+ */
+function runWithRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  redact,
+  getRequestId,
+  runWithRequestContext
+};
@@ -0,0 +1,59 @@
+// Pluggable mailer for one-time codes. Select with MAILER:
+//   console  - logs the message (development only, the default outside production)
+//   webhook  - POSTs { to, subject, text } as JSON to MAILER_WEBHOOK_URL (e.g. a Zapier/Make hook or your own service)
+// Or install a custom transport at startup with setMailer(async ({ to, subject, text }) => {...}).
+
+const logger = require('./logger');
+
+let customMailer = null;
+
+function setMailer(mailer) {
+  customMailer = mailer;
+}
+
+async function consoleMailer({ to, subject, text }) {
+  logger.info('Console mailer', { to, subject, text });
+}
+
+async function webhookMailer(message) {
+  if (!process.env.MAILER_WEBHOOK_URL) {
+    throw new Error('MAILER_WEBHOOK_URL environment variable is not set');
+  }
+
+  const response = await fetch(process.env.MAILER_WEBHOOK_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.MAILER_WEBHOOK_SECRET && { Authorization: `Bearer ${process.env.MAILER_WEBHOOK_SECRET}` })
+    },
+    body: JSON.stringify(message)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Mailer webhook responded with ${response.status}`);
+  }
+}
+
+function getMailer() {
+  if (customMailer) return customMailer;
+
+  const mailer = process.env.MAILER || (process.env.NODE_ENV === 'production' ? 'webhook' : 'console');
+  if (mailer === 'webhook') return webhookMailer;
+  if (mailer === 'console') {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The console mailer cannot be used in production');
+    }
+    return consoleMailer;
+  }
+
+  throw new Error(`Unknown MAILER: ${mailer}`);
+}
+
+async function sendMail(message) {
+  return getMailer()(message);
+}
+
+module.exports = {
+  setMailer,
+  sendMail
+};
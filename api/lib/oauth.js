@@ -0,0 +1,325 @@
+// OAuth 2.0 authorization-code flow for GPT Actions: registered clients, one-time
+// authorization codes, and access/refresh token pairs. Like API keys, only hashes are stored.
+
+const crypto = require('crypto');
+const supabase = require('./supabase');
+const { hashKey, hasScope, isValidScope } = require('./apiKeys');
+const { normalizeEmail } = require('./sessions');
+
+const ACCESS_TOKEN_PREFIX = 'gpo_';
+const REFRESH_TOKEN_PREFIX = 'gpr_';
+const CLIENT_SECRET_PREFIX = 'gpcs_';
+
+const AUTHORIZATION_CODE_TTL_SECONDS = 5 * 60;
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.OAUTH_ACCESS_TOKEN_TTL_SECONDS || '3600', 10);
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.OAUTH_REFRESH_TOKEN_TTL_SECONDS || String(90 * 24 * 3600), 10);
+
+// Tokens act on behalf of one verified user, so they never carry identity:assert or tenant admin
+const NON_DELEGABLE_SCOPES = ['identity:assert', 'tenants:admin'];
+
+function randomToken(prefix) {
+  return prefix + crypto.randomBytes(32).toString('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a || '');
+  const bufferB = Buffer.from(b || '');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function isAccessToken(token) {
+  return typeof token === 'string' && token.startsWith(ACCESS_TOKEN_PREFIX);
+}
+
+function expiresIn(seconds) {
+  return new Date(Date.now() + seconds * 1000).toISOString();
+}
+
+function isExpired(timestamp) {
+  return !timestamp || new Date(timestamp) <= new Date();
+}
+
+// Public shape of a client row (never exposes the secret hash)
+function serializeClient(row) {
+  return {
+    client_id: row.id,
+    name: row.name,
+    redirect_uris: row.redirect_uris || [],
+    scopes: row.scopes || [],
+    created_at: row.created_at,
+    revoked_at: row.revoked_at
+  };
+}
+
+/**
+ * Registers a client. The plaintext secret is only returned here.
+ */
+async function createClient({ name, redirectUris, scopes }) {
+  const clientId = `gpc_${crypto.randomBytes(12).toString('hex')}`;
+  const clientSecret = randomToken(CLIENT_SECRET_PREFIX);
+
+  const { data, error } = await supabase
+    .from('oauth_clients')
+    .insert([{
+      id: clientId,
+      secret_hash: hashKey(clientSecret),
+      name,
+      redirect_uris: redirectUris,
+      scopes: scopes.filter(scope => !NON_DELEGABLE_SCOPES.includes(scope))
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return { clientSecret, client: serializeClient(data) };
+}
+
+async function findClient(clientId) {
+  if (!clientId) return null;
+
+  const { data, error } = await supabase
+    .from('oauth_clients')
+    .select('*')
+    .eq('id', clientId)
+    .is('revoked_at', null)
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Returns the client when the id and secret match, otherwise null.
+ */
+async function authenticateClient(clientId, clientSecret) {
+  const client = await findClient(clientId);
+  if (!client || !clientSecret) return null;
+  return safeEqual(hashKey(clientSecret), client.secret_hash) ? client : null;
+}
+
+// Redirect URIs must match a registered one exactly
+function isAllowedRedirect(client, redirectUri) {
+  return Boolean(redirectUri) && (client.redirect_uris || []).includes(redirectUri);
+}
+
+/**
+ * Scopes a token gets: the requested ones the client may delegate, or all of them when none
+ * are requested. Returns null when a requested scope is not allowed for the client.
+ */
+function grantScopes(client, requestedScope) {
+  const clientScopes = client.scopes || [];
+  if (!requestedScope) return clientScopes;
+
+  const requested = String(requestedScope).split(/[\s,]+/).filter(Boolean);
+  const allowed = requested.every(scope =>
+    isValidScope(scope) && !NON_DELEGABLE_SCOPES.includes(scope) && hasScope(clientScopes, scope)
+  );
+  return allowed ? requested : null;
+}
+
+async function listClients({ includeRevoked = false } = {}) {
+  let query = supabase
+    .from('oauth_clients')
+    .select('*')
+    .order('created_at', { ascending: false });
+
+  if (!includeRevoked) query = query.is('revoked_at', null);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return data.map(serializeClient);
+}
+
+/**
+ * Revokes a client and every token issued to it.
+ */
+async function revokeClient(clientId) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('oauth_clients')
+    .update({ revoked_at: now })
+    .eq('id', clientId)
+    .is('revoked_at', null)
+    .select();
+
+  if (error) throw error;
+  if (!data || data.length === 0) return null;
+
+  const { error: tokenError } = await supabase
+    .from('oauth_tokens')
+    .update({ revoked_at: now })
+    .eq('client_id', clientId)
+    .is('revoked_at', null);
+
+  if (tokenError) throw tokenError;
+
+  return serializeClient(data[0]);
+}
+
+/**
+ * Issues a single-use authorization code for a user who signed in and approved the client.
+ */
+async function createAuthorizationCode({ client, email, redirectUri, scopes, codeChallenge, codeChallengeMethod }) {
+  const code = randomToken('');
+
+  const { error } = await supabase
+    .from('oauth_authorization_codes')
+    .insert([{
+      code_hash: hashKey(code),
+      client_id: client.id,
+      email: normalizeEmail(email),
+      redirect_uri: redirectUri,
+      scopes,
+      code_challenge: codeChallenge || null,
+      code_challenge_method: codeChallenge ? codeChallengeMethod || 'plain' : null,
+      expires_at: expiresIn(AUTHORIZATION_CODE_TTL_SECONDS)
+    }]);
+
+  if (error) throw error;
+  return code;
+}
+
+// PKCE (RFC 7636) is optional for confidential clients but enforced when a challenge was sent
+function verifyCodeChallenge(record, codeVerifier) {
+  if (!record.code_challenge) return true;
+  if (!codeVerifier) return false;
+
+  const computed = record.code_challenge_method === 'S256'
+    ? crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+    : codeVerifier;
+  return safeEqual(computed, record.code_challenge);
+}
+
+async function issueTokens({ clientId, email, scopes }) {
+  const accessToken = randomToken(ACCESS_TOKEN_PREFIX);
+  const refreshToken = randomToken(REFRESH_TOKEN_PREFIX);
+
+  const { error } = await supabase
+    .from('oauth_tokens')
+    .insert([{
+      access_token_hash: hashKey(accessToken),
+      refresh_token_hash: hashKey(refreshToken),
+      client_id: clientId,
+      email,
+      scopes,
+      access_expires_at: expiresIn(ACCESS_TOKEN_TTL_SECONDS),
+      refresh_expires_at: expiresIn(REFRESH_TOKEN_TTL_SECONDS)
+    }]);
+
+  if (error) throw error;
+
+  return {
+    access_token: accessToken,
+    token_type: 'bearer',
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    refresh_token: refreshToken,
+    scope: scopes.join(' ')
+  };
+}
+
+/**
+ * authorization_code grant. Returns a token response or { error } with an OAuth error code.
+ */
+async function exchangeAuthorizationCode(client, { code, redirectUri, codeVerifier }) {
+  if (!code) return { error: 'invalid_request', description: 'code is required' };
+  if (!redirectUri) return { error: 'invalid_request', description: 'redirect_uri is required' };
+
+  // Consuming the code atomically makes a replayed code fail. The code is only consumed by the
+  // client and redirect_uri it was issued for, so presenting another client's code cannot burn it.
+  const { data, error } = await supabase
+    .from('oauth_authorization_codes')
+    .update({ consumed_at: new Date().toISOString() })
+    .eq('code_hash', hashKey(code))
+    .eq('client_id', client.id)
+    .eq('redirect_uri', redirectUri)
+    .is('consumed_at', null)
+    .select();
+
+  if (error) throw error;
+
+  const record = data && data.length > 0 ? data[0] : null;
+  if (!record || isExpired(record.expires_at)) {
+    return {
+      error: 'invalid_grant',
+      description: 'Authorization code is invalid, expired, or was issued for another client or redirect_uri'
+    };
+  }
+
+  if (!verifyCodeChallenge(record, codeVerifier)) {
+    return { error: 'invalid_grant', description: 'code_verifier does not match the code challenge' };
+  }
+
+  return issueTokens({ clientId: client.id, email: record.email, scopes: record.scopes || [] });
+}
+
+/**
+ * refresh_token grant. Refresh tokens rotate: the old pair is revoked and a new one issued.
+ */
+async function exchangeRefreshToken(client, { refreshToken }) {
+  if (!refreshToken) return { error: 'invalid_request', description: 'refresh_token is required' };
+
+  // Only the client the token was issued to can rotate (and so revoke) it
+  const { data, error } = await supabase
+    .from('oauth_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('refresh_token_hash', hashKey(refreshToken))
+    .eq('client_id', client.id)
+    .is('revoked_at', null)
+    .select();
+
+  if (error) throw error;
+
+  const record = data && data.length > 0 ? data[0] : null;
+  if (!record || isExpired(record.refresh_expires_at)) {
+    return { error: 'invalid_grant', description: 'Refresh token is invalid or expired' };
+  }
+
+  return issueTokens({ clientId: client.id, email: record.email, scopes: record.scopes || [] });
+}
+
+/**
+ * Resolves a bearer access token to { clientId, clientName, tenantId, email, scopes }, or null when it
+ * is unknown, expired, revoked or its client was revoked.
+ */
+async function findAccessToken(accessToken) {
+  const { data, error } = await supabase
+    .from('oauth_tokens')
+    .select('*')
+    .eq('access_token_hash', hashKey(accessToken))
+    .is('revoked_at', null)
+    .limit(1);
+
+  if (error) throw error;
+
+  const record = data && data.length > 0 ? data[0] : null;
+  if (!record || isExpired(record.access_expires_at)) return null;
+
+  const client = await findClient(record.client_id);
+  if (!client) return null;
+
+  return {
+    clientId: client.id,
+    clientName: client.name,
+    tenantId: client.tenant_id,
+    email: record.email,
+    scopes: record.scopes || []
+  };
+}
+
+module.exports = {
+  isAccessToken,
+  createClient,
+  findClient,
+  authenticateClient,
+  isAllowedRedirect,
+  grantScopes,
+  listClients,
+  revokeClient,
+  createAuthorizationCode,
+  exchangeAuthorizationCode,
+  exchangeRefreshToken,
+  findAccessToken
+};
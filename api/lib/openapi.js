@@ -0,0 +1,213 @@
+// Route registry: route definitions drive both request validation and the served OpenAPI spec
+
+const { authenticateApiKey, requireScope } = require('../middleware/auth');
+const { resolveIdentity } = require('../middleware/identity');
+const { rateLimit, DEFAULT_LIMITS } = require('../middleware/rateLimit');
+const { validateRequest } = require('./validation');
+
+// Global per-key limit; runs after authentication so only accepted keys get a counter
+const keyLimiter = rateLimit({ name: 'global', by: 'apiKey', ...DEFAULT_LIMITS.apiKey });
+
+const ErrorResponse = {
+  type: 'object',
+  properties: {
+    error: { type: 'string', description: 'Error message' }
+  }
+};
+
+// Routers registered through mount(), in mount order
+const mounts = [];
+
+/**
+ * Registers a route on an Express router (or app) from a definition:
+ *   { method, path, operationId, summary, description, scope, params, query, body, responses }
+ * When `scope` is set the route requires an API key carrying it.
+ * `hidden: true` keeps a route out of the served spec.
+ * `params`, `query` and `body` are JSON Schemas validated before the handler runs.
+ * `identity: 'body' | 'query' | 'params'` resolves the end user into req.identity (see
+ * middleware/identity.js) from the email in that location or a session_token, and limits
+ * requests per user.
+ * `rateLimit: { max, windowMs }` adds a limit for this route alone, counted per user when
+ * the route has an identity and per API key otherwise.
+ */
+function route(router, definition, ...handlers) {
+  if (definition.identity) {
+    definition = withSessionToken(definition);
+  }
+
+  const { method, path, operationId, scope, params, query, body, identity } = definition;
+  const middleware = [];
+
+  if (scope) middleware.push(authenticateApiKey, keyLimiter, requireScope(scope));
+  if (params || query || body) middleware.push(validateRequest({ params, query, body }));
+  if (identity) {
+    middleware.push(resolveIdentity(identity), rateLimit({ name: 'user', by: 'user', ...DEFAULT_LIMITS.user }));
+  }
+  if (definition.rateLimit) {
+    middleware.push(rateLimit({ name: operationId, by: identity ? 'user' : 'apiKey', ...definition.rateLimit }));
+  }
+
+  router[method](path, ...middleware, ...handlers);
+
+  router.routeDefinitions = router.routeDefinitions || [];
+  router.routeDefinitions.push(definition);
+}
+
+// Adds the session_token parameter and makes email optional (the token can stand in for it)
+function withSessionToken(definition) {
+  const tokenLocation = definition.identity === 'body' ? 'body' : 'query';
+  const schema = definition[tokenLocation] || { type: 'object', properties: {} };
+
+  return {
+    ...definition,
+    [tokenLocation]: {
+      ...schema,
+      required: (schema.required || []).filter(key => key !== 'email'),
+      properties: {
+        ...schema.properties,
+        session_token: {
+          type: 'string',
+          description: 'Session token from verifyEmailCode; identifies the user instead of a raw email (not needed with OAuth)'
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Mounts a router on the app and records the prefix for spec generation.
+ */
+function mount(app, prefix, router) {
+  app.use(prefix, router);
+  mounts.push({ prefix, router });
+}
+
+// '/user/:email' -> '/user/{email}'
+function toOpenApiPath(prefix, path) {
+  const fullPath = `${prefix}${path === '/' ? '' : path}` || '/';
+  return fullPath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+function toParameters(location, schema) {
+  if (!schema || !schema.properties) return [];
+
+  return Object.entries(schema.properties).map(([name, propertySchema]) => {
+    const { description, ...rest } = propertySchema;
+    return {
+      in: location,
+      name,
+      required: location === 'path' || (schema.required || []).includes(name),
+      ...(description && { description }),
+      schema: rest
+    };
+  });
+}
+
+function toOperation(definition) {
+  const operation = {
+    operationId: definition.operationId,
+    summary: definition.summary
+  };
+
+  if (definition.description) operation.description = definition.description;
+  if (definition.scope) operation.security = [{ apiKey: [] }, { oauth: [] }];
+
+  const parameters = [
+    ...toParameters('path', definition.params),
+    ...toParameters('query', definition.query)
+  ];
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (definition.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: definition.body } }
+    };
+  }
+
+  operation.responses = {};
+  Object.entries(definition.responses || { 200: { description: 'Success' } }).forEach(([status, response]) => {
+    operation.responses[status] = { description: response.description };
+    if (response.schema) {
+      operation.responses[status].content = { 'application/json': { schema: response.schema } };
+    }
+  });
+
+  if (definition.scope) {
+    operation.responses['401'] = operation.responses['401'] || {
+      description: 'Missing or invalid API key',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    };
+  }
+  if (definition.scope) {
+    operation.responses['429'] = operation.responses['429'] || {
+      description: 'Rate limit exceeded; retry after the Retry-After header',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    };
+  }
+  if (definition.params || definition.query || definition.body) {
+    operation.responses['400'] = operation.responses['400'] || {
+      description: 'Invalid request',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    };
+  }
+
+  return operation;
+}
+
+/**
+ * Builds the OpenAPI 3.1 document from every mounted router.
+ */
+function buildSpec({ serverUrl } = {}) {
+  const paths = {};
+  const baseUrl = serverUrl || 'https://your-app.vercel.app';
+
+  mounts.forEach(({ prefix, router }) => {
+    (router.routeDefinitions || []).forEach(definition => {
+      if (definition.hidden) return;
+      const path = toOpenApiPath(prefix, definition.path);
+      paths[path] = paths[path] || {};
+      paths[path][definition.method] = toOperation(definition);
+    });
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'GPT Paywall API',
+      version: '2.0.0',
+      description: 'API for managing GPT paywall access, payments, and user management'
+    },
+    servers: [{ url: baseUrl }],
+    components: {
+      securitySchemes: {
+        apiKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key for GPT authentication'
+        },
+        oauth: {
+          type: 'oauth2',
+          description: 'Signs the user in; the access token identifies them, so no email is needed',
+          flows: {
+            authorizationCode: {
+              authorizationUrl: `${baseUrl}/oauth/authorize`,
+              tokenUrl: `${baseUrl}/oauth/token`,
+              refreshUrl: `${baseUrl}/oauth/token`,
+              scopes: {}
+            }
+          }
+        }
+      },
+      schemas: { ErrorResponse }
+    },
+    paths
+  };
+}
+
+module.exports = {
+  route,
+  mount,
+  buildSpec
+};
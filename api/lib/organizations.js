@@ -0,0 +1,299 @@
+// Organizations: one subscription covering several people. The owner's own subscription pays for
+// the organization, with one seat per member (the owner included, invitations too) billed as the
+// quantity of the subscription item. Members get access through the owner's subscription once
+// they check access with the invited email (see GET /api/check-access).
+const stripe = require('./stripeClient');
+const supabase = require('./supabase');
+const { evaluateAccess } = require('./accessPolicy');
+const { recordAudit } = require('./audit');
+const logger = require('./logger');
+
+const ROLES = ['owner', 'member'];
+
+// Subscription fields a member borrows from the owner; billing details such as invoices stay the owner's
+const SUBSCRIPTION_FIELDS = [
+  'status',
+  'plan',
+  'plan_interval',
+  'current_period_end',
+  'trial_end',
+  'cancel_at_period_end',
+  'cancel_at',
+  'pause_behavior',
+  'pause_resumes_at',
+  'latest_invoice_due_at'
+];
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+async function findOne(query) {
+  const { data, error } = await query.limit(1);
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+async function findOwnedOrganization(userId) {
+  return findOne(supabase.from('organizations').select('*').eq('owner_user_id', userId));
+}
+
+async function listMembers(organizationId) {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .order('invited_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Creates an organization owned by `owner`, who takes the first seat. A user owns at most one.
+ * Returns { organization } or { error } for the HTTP response.
+ */
+async function createOrganization(owner, name, { actor }) {
+  const { data: organization, error } = await supabase
+    .from('organizations')
+    .insert([{ name, owner_user_id: owner.id, seats: 1 }])
+    .select()
+    .single();
+
+  // Unique violation on owner_user_id
+  if (error && error.code === '23505') {
+    return { error: 'You already own an organization' };
+  }
+  if (error) throw error;
+
+  const { error: memberError } = await supabase
+    .from('organization_members')
+    .insert([{
+      organization_id: organization.id,
+      email: normalizeEmail(owner.email),
+      user_id: owner.id,
+      role: 'owner',
+      status: 'active',
+      joined_at: new Date().toISOString()
+    }]);
+
+  if (memberError) {
+    await supabase.from('organizations').delete().eq('id', organization.id);
+    throw memberError;
+  }
+
+  await recordAudit({ actor, action: 'organization.create', after: organization });
+  logger.info('Organization created', { organization_id: organization.id, owner_user_id: owner.id });
+  return { organization };
+}
+
+/**
+ * Stores the organization's member count as `seats` and sets the owner's subscription item
+ * quantity to it. Without a live subscription only `seats` is stored; checkout then starts with
+ * that quantity. Returns { seats, subscriptionQuantity }.
+ */
+async function syncSeats(organization) {
+  const members = await listMembers(organization.id);
+  const seats = Math.max(members.length, 1);
+
+  if (organization.seats !== seats) {
+    const { error } = await supabase
+      .from('organizations')
+      .update({ seats, updated_at: new Date().toISOString() })
+      .eq('id', organization.id);
+
+    if (error) throw error;
+  }
+
+  const owner = await findOne(supabase.from('users').select('*').eq('id', organization.owner_user_id));
+  if (!owner || !owner.subscription_id) return { seats, subscriptionQuantity: null };
+
+  const subscription = await stripe.subscriptions.retrieve(owner.subscription_id);
+  const item = subscription && subscription.status !== 'canceled' && subscription.items && subscription.items.data[0];
+  if (!item) return { seats, subscriptionQuantity: null };
+
+  if (item.quantity !== seats) {
+    await stripe.subscriptions.update(subscription.id, {
+      items: [{ id: item.id, quantity: seats }],
+      proration_behavior: 'create_prorations'
+    });
+    logger.info('Organization seats synced', { organization_id: organization.id, subscription_id: subscription.id, seats });
+  }
+
+  return { seats, subscriptionQuantity: seats };
+}
+
+// Seats to buy when the user checks out: their organization's member count, else 1
+async function seatsForOwner(userId) {
+  const organization = await findOwnedOrganization(userId);
+  if (!organization) return 1;
+  return Math.max((await listMembers(organization.id)).length, 1);
+}
+
+/**
+ * Invites `email` to the organization and adds a seat to the subscription.
+ * Returns { member, seats } or { error }.
+ */
+async function inviteMember(organization, email, { actor }) {
+  const { data: member, error } = await supabase
+    .from('organization_members')
+    .insert([{
+      organization_id: organization.id,
+      email: normalizeEmail(email),
+      role: 'member',
+      status: 'invited'
+    }])
+    .select()
+    .single();
+
+  // Unique violation on (organization_id, email)
+  if (error && error.code === '23505') {
+    return { error: 'This email is already a member of the organization' };
+  }
+  if (error) throw error;
+
+  await recordAudit({ actor, action: 'organization.invite', after: member });
+
+  let sync;
+  try {
+    sync = await syncSeats(organization);
+  } catch (syncError) {
+    // Do not keep a member the subscription is not paying for
+    await supabase.from('organization_members').delete().eq('id', member.id);
+    throw syncError;
+  }
+
+  return { member, seats: sync.seats };
+}
+
+/**
+ * Removes a member (not the owner) and their seat. Returns { member, seats } or { error }.
+ */
+async function removeMember(organization, email, { actor }) {
+  const { data: removed, error } = await supabase
+    .from('organization_members')
+    .delete()
+    .eq('organization_id', organization.id)
+    .eq('email', normalizeEmail(email))
+    .eq('role', 'member')
+    .select();
+
+  if (error) throw error;
+  if (!removed || removed.length === 0) {
+    return { error: 'Member not found' };
+  }
+
+  await recordAudit({ actor, action: 'organization.remove_member', before: removed[0] });
+
+  // The member is gone either way; the next invite or removal corrects the quantity
+  const seats = Math.max((await listMembers(organization.id)).length, 1);
+  try {
+    await syncSeats(organization);
+  } catch (syncError) {
+    logger.error('Failed to sync seats after removing a member', { error: syncError, organization_id: organization.id });
+  }
+
+  return { member: removed[0], seats };
+}
+
+/**
+ * Organizations `email` belongs to, each as { organization, membership }.
+ */
+async function listMemberships(email) {
+  const { data: memberships, error } = await supabase
+    .from('organization_members')
+    .select('*')
+    .eq('email', normalizeEmail(email));
+
+  if (error) throw error;
+  if (!memberships || memberships.length === 0) return [];
+
+  const { data: organizations, error: orgError } = await supabase
+    .from('organizations')
+    .select('*')
+    .in('id', memberships.map(membership => membership.organization_id));
+
+  if (orgError) throw orgError;
+
+  return memberships
+    .map(membership => ({
+      organization: (organizations || []).find(org => org.id === membership.organization_id),
+      membership
+    }))
+    .filter(entry => entry.organization);
+}
+
+/**
+ * First organization whose owner's subscription grants access to `email` as a member.
+ * Returns { organization, membership, owner, access } or null.
+ */
+async function findOrganizationAccess(email, now = new Date()) {
+  const memberships = await listMemberships(email);
+
+  for (const { organization, membership } of memberships) {
+    if (membership.role === 'owner') continue;
+
+    const owner = await findOne(supabase.from('users').select('*').eq('id', organization.owner_user_id));
+    if (!owner) continue;
+
+    // A lifetime purchase is the owner's own and does not cover members
+    const access = evaluateAccess(owner, now);
+    if (access.hasAccess && access.reason !== 'lifetime') {
+      return { organization, membership, owner, access };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Marks an invitation accepted the first time the member checks access with a verified identity.
+ */
+async function acceptMembership(membership, user) {
+  if (membership.status === 'active' && membership.user_id === user.id) return membership;
+
+  const { data, error } = await supabase
+    .from('organization_members')
+    .update({ status: 'active', user_id: user.id, joined_at: membership.joined_at || new Date().toISOString() })
+    .eq('id', membership.id)
+    .select();
+
+  if (error) throw error;
+  return data && data[0] ? data[0] : membership;
+}
+
+// The member's row with the owner's subscription state, for access checks and quotas
+function memberBillingView(user, owner) {
+  const view = { ...user };
+  SUBSCRIPTION_FIELDS.forEach(field => {
+    view[field] = owner[field] ?? null;
+  });
+  return view;
+}
+
+/**
+ * The row to check access and quotas against: the user's own, or for a member without access of
+ * their own, the member's view of the organization's subscription.
+ */
+async function billingUserFor(user, now = new Date()) {
+  if (evaluateAccess(user, now).hasAccess) return user;
+
+  const organizationAccess = await findOrganizationAccess(user.email, now);
+  return organizationAccess ? memberBillingView(user, organizationAccess.owner) : user;
+}
+
+module.exports = {
+  ROLES,
+  findOwnedOrganization,
+  listMembers,
+  listMemberships,
+  createOrganization,
+  inviteMember,
+  removeMember,
+  syncSeats,
+  seatsForOwner,
+  findOrganizationAccess,
+  acceptMembership,
+  memberBillingView,
+  billingUserFor
+};
@@ -0,0 +1,142 @@
+// Plan catalog: maps plan keys to Stripe prices, trial length, feature entitlements and
+// per-billing-period usage quotas (a null quota means unlimited).
+// Set PLAN_CATALOG to a JSON object shaped like defaultCatalog() to define your own plans.
+// Tenants other than the default one bring their own catalog (tenants.plan_catalog).
+const { currentTenant } = require('./tenantContext');
+
+const INTERVALS = ['month', 'year'];
+
+function defaultCatalog() {
+  return {
+    free: {
+      name: 'Free',
+      trial_days: 0,
+      features: [],
+      quotas: {},
+      prices: {}
+    },
+    pro: {
+      name: 'Pro',
+      trial_days: 30,
+      features: ['premium_actions'],
+      quotas: { premium_actions: 50 },
+      prices: {
+        month: {
+          price_id: process.env.STRIPE_PRICE_ID || process.env.STRIPE_PRICE_PRO,
+          amount: 2900,
+          currency: 'usd'
+        }
+      }
+    }
+  };
+}
+
+let cachedCatalog = null;
+const tenantCatalogs = new WeakMap();
+
+function normalizeCatalog(raw) {
+  return Object.entries(raw).map(([key, plan]) => ({
+    key: key.toLowerCase(),
+    name: plan.name || key,
+    trial_days: plan.trial_days || 0,
+    features: plan.features || [],
+    quotas: plan.quotas || {},
+    prices: plan.prices || {}
+  }));
+}
+
+function loadCatalog() {
+  const tenant = currentTenant();
+  if (tenant && tenant.planCatalog) {
+    if (!tenantCatalogs.has(tenant)) tenantCatalogs.set(tenant, normalizeCatalog(tenant.planCatalog));
+    return tenantCatalogs.get(tenant);
+  }
+
+  if (cachedCatalog) return cachedCatalog;
+
+  let raw = defaultCatalog();
+  if (process.env.PLAN_CATALOG) {
+    try {
+      raw = JSON.parse(process.env.PLAN_CATALOG);
+    } catch (err) {
+      throw new Error(`PLAN_CATALOG is not valid JSON: ${err.message}`);
+    }
+  }
+
+  cachedCatalog = normalizeCatalog(raw);
+  return cachedCatalog;
+}
+
+function getPlans() {
+  return loadCatalog();
+}
+
+/**
+ * Finds a plan by key or display name, case-insensitively ('pro', 'Pro').
+ */
+function getPlan(planInput) {
+  if (!planInput) return null;
+  const normalized = String(planInput).trim().toLowerCase();
+  return loadCatalog().find(plan => plan.key === normalized || plan.name.toLowerCase() === normalized) || null;
+}
+
+/**
+ * Resolves the Stripe price for a plan and billing interval.
+ * Returns { plan, interval, price } or { error } when the combination is not purchasable.
+ */
+function resolvePrice(planInput, interval = 'month') {
+  const plan = getPlan(planInput);
+  if (!plan) {
+    return { error: `Unknown plan: ${planInput}` };
+  }
+
+  const price = plan.prices[interval];
+  if (!price) {
+    return { error: `Plan ${plan.key} is not available with ${interval}ly billing` };
+  }
+
+  if (!price.price_id) {
+    return { error: `No Stripe price configured for plan ${plan.key} (${interval})` };
+  }
+
+  return { plan, interval, price };
+}
+
+/**
+ * Reverse lookup used by webhooks: which plan and interval a Stripe price belongs to.
+ */
+function findPlanByPriceId(priceId) {
+  if (!priceId) return null;
+
+  for (const plan of loadCatalog()) {
+    for (const [interval, price] of Object.entries(plan.prices)) {
+      if (price.price_id === priceId) return { plan, interval };
+    }
+  }
+  return null;
+}
+
+// Public shape for the GPT (no Stripe ids)
+function serializePlan(plan) {
+  return {
+    key: plan.key,
+    name: plan.name,
+    trial_days: plan.trial_days,
+    features: plan.features,
+    quotas: plan.quotas,
+    prices: Object.entries(plan.prices).map(([interval, price]) => ({
+      interval,
+      amount: price.amount,
+      currency: price.currency
+    }))
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  getPlans,
+  getPlan,
+  resolvePrice,
+  findPlanByPriceId,
+  serializePlan
+};
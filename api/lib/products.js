@@ -0,0 +1,104 @@
+// One-time products bought with mode=payment checkout, alongside the subscription plans:
+//   credit packs - add `credits` to the user's credit ledger (see lib/credits.js)
+//   lifetime     - `lifetime_plan` grants that plan's features for good
+// Set PRODUCT_CATALOG to JSON keyed by product, e.g.
+//   { "credits_100": { "name": "100 credits", "credits": 100, "price_id": "price_123", "amount": 900, "currency": "usd" },
+//     "lifetime": { "name": "Lifetime Pro", "lifetime_plan": "pro", "price_id": "price_456", "amount": 19900, "currency": "usd" } }
+// Tenants other than the default one bring their own catalog (tenants.product_catalog).
+const { getPlan } = require('./plans');
+const { currentTenant } = require('./tenantContext');
+
+const PRODUCT_TYPES = ['credits', 'lifetime'];
+
+let cachedCatalog = null;
+const tenantCatalogs = new WeakMap();
+
+function normalizeCatalog(raw) {
+  return Object.entries(raw).map(([key, product]) => ({
+    key: key.toLowerCase(),
+    name: product.name || key,
+    type: product.lifetime_plan ? 'lifetime' : 'credits',
+    credits: product.credits || 0,
+    lifetime_plan: product.lifetime_plan ? String(product.lifetime_plan).toLowerCase() : null,
+    price_id: product.price_id || null,
+    amount: product.amount ?? null,
+    currency: product.currency || null
+  }));
+}
+
+function loadCatalog() {
+  const tenant = currentTenant();
+  if (tenant && tenant.productCatalog) {
+    if (!tenantCatalogs.has(tenant)) tenantCatalogs.set(tenant, normalizeCatalog(tenant.productCatalog));
+    return tenantCatalogs.get(tenant);
+  }
+
+  if (cachedCatalog) return cachedCatalog;
+
+  let raw = {};
+  if (process.env.PRODUCT_CATALOG) {
+    try {
+      raw = JSON.parse(process.env.PRODUCT_CATALOG);
+    } catch (err) {
+      throw new Error(`PRODUCT_CATALOG is not valid JSON: ${err.message}`);
+    }
+  }
+
+  cachedCatalog = normalizeCatalog(raw);
+  return cachedCatalog;
+}
+
+function getProducts() {
+  return loadCatalog();
+}
+
+function getProduct(productInput) {
+  if (!productInput) return null;
+  const normalized = String(productInput).trim().toLowerCase();
+  return loadCatalog().find(product => product.key === normalized) || null;
+}
+
+/**
+ * Resolves a purchasable product. Returns { product } or { error }.
+ */
+function resolveProduct(productInput) {
+  const product = getProduct(productInput);
+  if (!product) {
+    return { error: `Unknown product: ${productInput}` };
+  }
+
+  if (!product.price_id) {
+    return { error: `No Stripe price configured for product ${product.key}` };
+  }
+
+  if (product.type === 'lifetime' && !getPlan(product.lifetime_plan)) {
+    return { error: `Product ${product.key} grants unknown plan ${product.lifetime_plan}` };
+  }
+
+  if (product.type === 'credits' && !(product.credits > 0)) {
+    return { error: `Product ${product.key} grants no credits` };
+  }
+
+  return { product };
+}
+
+// Public shape for the GPT (no Stripe ids)
+function serializeProduct(product) {
+  return {
+    key: product.key,
+    name: product.name,
+    type: product.type,
+    credits: product.type === 'credits' ? product.credits : null,
+    lifetime_plan: product.lifetime_plan,
+    amount: product.amount,
+    currency: product.currency
+  };
+}
+
+module.exports = {
+  PRODUCT_TYPES,
+  getProducts,
+  getProduct,
+  resolveProduct,
+  serializeProduct
+};
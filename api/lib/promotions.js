@@ -0,0 +1,100 @@
+// Stripe promotion codes: checks a customer-facing code before checkout so the GPT can
+// tell the user up front whether it applies, and what the plan would cost with it.
+const stripe = require('./stripeClient');
+
+/**
+ * Looks up an active promotion code and checks it against the price being bought, and
+ * the customer when known, so Checkout does not reject it later.
+ * Returns { valid: true, promotionCode } or { valid: false, reason }.
+ */
+async function validatePromotionCode(code, { price, quantity = 1, customer } = {}) {
+  const { data } = await stripe.promotionCodes.list({ code, active: true, limit: 1, expand: ['data.coupon.applies_to'] });
+  const promotionCode = data[0];
+
+  if (!promotionCode) {
+    return { valid: false, reason: 'Promotion code not found or no longer active' };
+  }
+
+  const { coupon } = promotionCode;
+  const restrictions = promotionCode.restrictions || {};
+
+  if (!coupon.valid || (promotionCode.expires_at && promotionCode.expires_at * 1000 <= Date.now())) {
+    return { valid: false, reason: 'Promotion code has expired' };
+  }
+
+  if (promotionCode.max_redemptions && promotionCode.times_redeemed >= promotionCode.max_redemptions) {
+    return { valid: false, reason: 'Promotion code has been fully redeemed' };
+  }
+
+  if (price) {
+    if (coupon.amount_off && price.currency && coupon.currency !== price.currency) {
+      return { valid: false, reason: `Promotion code does not apply to ${price.currency.toUpperCase()} prices` };
+    }
+
+    if (restrictions.minimum_amount && price.currency && restrictions.minimum_amount_currency !== price.currency) {
+      return { valid: false, reason: `Promotion code requires a ${restrictions.minimum_amount_currency.toUpperCase()} purchase` };
+    }
+
+    if (restrictions.minimum_amount && price.amount != null && price.amount * quantity < restrictions.minimum_amount) {
+      return { valid: false, reason: 'Plan price is below the promotion code\'s minimum amount' };
+    }
+
+    const products = coupon.applies_to && coupon.applies_to.products;
+    if (products && products.length > 0 && !products.includes(await productOfPrice(price))) {
+      return { valid: false, reason: 'Promotion code does not apply to this plan or product' };
+    }
+  }
+
+  if (customer) {
+    if (promotionCode.customer && promotionCode.customer !== customer) {
+      return { valid: false, reason: 'Promotion code belongs to another customer' };
+    }
+
+    if (restrictions.first_time_transaction && await hasPaid(customer)) {
+      return { valid: false, reason: 'Promotion code is only for first-time purchases' };
+    }
+  }
+
+  return { valid: true, promotionCode };
+}
+
+// Stripe product a catalog price belongs to
+async function productOfPrice(price) {
+  if (!price.price_id) return null;
+  const stripePrice = await stripe.prices.retrieve(price.price_id);
+  return typeof stripePrice.product === 'string' ? stripePrice.product : stripePrice.product.id;
+}
+
+// Whether the customer has ever paid, which rules out first-time-only codes
+async function hasPaid(customer) {
+  const { data: charges } = await stripe.charges.list({ customer, limit: 100 });
+  if (charges.some(charge => charge.status === 'succeeded')) return true;
+
+  const { data: invoices } = await stripe.invoices.list({ customer, status: 'paid', limit: 1 });
+  return invoices.length > 0;
+}
+
+// What the coupon takes off, and for how long
+function describeDiscount(coupon) {
+  return {
+    percent_off: coupon.percent_off || null,
+    amount_off: coupon.amount_off || null,
+    currency: coupon.currency || null,
+    duration: coupon.duration,
+    duration_in_months: coupon.duration_in_months || null
+  };
+}
+
+// Price of one billing period after the coupon (smallest currency unit)
+function discountedAmount(amount, coupon) {
+  if (amount == null) return null;
+  if (coupon.percent_off) return Math.round(amount * (100 - coupon.percent_off) / 100);
+  if (coupon.amount_off) return Math.max(amount - coupon.amount_off, 0);
+  return amount;
+}
+
+module.exports = {
+  validatePromotionCode,
+  describeDiscount,
+  discountedAmount
+};
@@ -0,0 +1,83 @@
+// Pluggable counter store for rate limiting. Select with RATE_LIMIT_STORE:
+//   supabase - fixed-window counters in Postgres (rate_limit_hit function), shared by every
+//              serverless instance (the default in production)
+//   memory   - per-process Map, for local development and tests (the default elsewhere)
+// Or install a custom store with setRateLimitStore({ hit: async (key, windowMs) => ({ count, resetAt }) }).
+
+const supabase = require('./supabase');
+
+function createMemoryStore() {
+  const counters = new Map();
+
+  function prune(now) {
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+
+      if (!counter || counter.resetAt <= now) {
+        // Expired counters are dropped lazily so the map does not grow without bound
+        if (counters.size > 10000) prune(now);
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+
+      counter.count += 1;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    reset() {
+      counters.clear();
+    }
+  };
+}
+
+function createSupabaseStore() {
+  return {
+    async hit(key, windowMs) {
+      const { data, error } = await supabase.rpc('rate_limit_hit', {
+        p_key: key,
+        p_window_ms: windowMs
+      });
+
+      if (error) throw error;
+
+      const row = Array.isArray(data) ? data[0] : data;
+      return { count: row.count, resetAt: new Date(row.reset_at) };
+    }
+  };
+}
+
+let customStore = null;
+let defaultStore = null;
+
+function setRateLimitStore(store) {
+  customStore = store;
+}
+
+function getRateLimitStore() {
+  if (customStore) return customStore;
+  if (defaultStore) return defaultStore;
+
+  const store = process.env.RATE_LIMIT_STORE || (process.env.NODE_ENV === 'production' ? 'supabase' : 'memory');
+  if (store === 'supabase') {
+    defaultStore = createSupabaseStore();
+  } else if (store === 'memory') {
+    defaultStore = createMemoryStore();
+  } else {
+    throw new Error(`Unknown RATE_LIMIT_STORE: ${store}`);
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  createMemoryStore,
+  createSupabaseStore,
+  setRateLimitStore,
+  getRateLimitStore
+};
@@ -0,0 +1,354 @@
+// Reconciliation between Stripe and the users table, for drift left by missed or failed webhooks.
+// Stripe is the source of truth: each customer's current subscription is compared with the
+// user row matched by stripe_customer_id (then subscription_id). Scheduled runs resume from a
+// cursor saved in reconcile_cursors.
+const stripe = require('./stripeClient');
+const supabase = require('./supabase');
+const {
+  LIVE_STRIPE_STATUSES,
+  mapStripeStatusToDb,
+  awaitsInvoicePayment,
+  planFromSubscription,
+  toIsoDate
+} = require('./subscriptions');
+const { recordAuditRows } = require('./audit');
+const logger = require('./logger');
+
+const PAGE_SIZE = 100;
+const DEFAULT_MAX_SUBSCRIPTIONS = 5000;
+// Scheduled runs stay well inside the function timeout and continue on the next run
+const SCHEDULED_MAX_SUBSCRIPTIONS = 500;
+const MAX_REPORTED = 200;
+
+const COMPARED_FIELDS = ['status', 'plan', 'plan_interval', 'current_period_end', 'stripe_customer_id', 'subscription_id'];
+
+// DB statuses that grant (or are about to grant) access; such users need a subscription in Stripe
+const LIVE_DB_STATUSES = ['active', 'trialing', 'past_due', 'awaiting_payment'];
+
+function chunk(values, size) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) chunks.push(values.slice(i, i + size));
+  return chunks;
+}
+
+function sameField(field, stored, expected) {
+  if (field === 'current_period_end') {
+    const a = stored ? new Date(stored).getTime() : null;
+    const b = expected ? new Date(expected).getTime() : null;
+    return a === b;
+  }
+  return (stored ?? null) === (expected ?? null);
+}
+
+/**
+ * Pages through Stripe subscriptions (newest first), grouped by customer.
+ * Returns { byCustomer, scanned, hasMore, nextStartingAfter }.
+ */
+async function listStripeSubscriptions({ maxSubscriptions, startingAfter }) {
+  const byCustomer = new Map();
+  let scanned = 0;
+  let cursor = startingAfter;
+  let hasMore = true;
+
+  while (hasMore && scanned < maxSubscriptions) {
+    const page = await stripe.subscriptions.list({
+      status: 'all',
+      limit: Math.min(PAGE_SIZE, maxSubscriptions - scanned),
+      expand: ['data.latest_invoice'],
+      ...(cursor && { starting_after: cursor })
+    });
+
+    for (const subscription of page.data) {
+      const customerId = typeof subscription.customer === 'string' ? subscription.customer : subscription.customer.id;
+      if (!byCustomer.has(customerId)) byCustomer.set(customerId, []);
+      byCustomer.get(customerId).push(subscription);
+    }
+
+    scanned += page.data.length;
+    hasMore = page.has_more && page.data.length > 0;
+    if (page.data.length > 0) cursor = page.data[page.data.length - 1].id;
+  }
+
+  return { byCustomer, scanned, hasMore, nextStartingAfter: hasMore ? cursor : null };
+}
+
+// The customer's current subscription: a live one (preferring the one the user row points to), else the newest
+function currentSubscription(subscriptions, user) {
+  const live = subscriptions.filter(sub => LIVE_STRIPE_STATUSES.includes(sub.status));
+  const candidates = live.length > 0 ? live : subscriptions;
+  return candidates.find(sub => user && sub.id === user.subscription_id)
+    || candidates.reduce((newest, sub) => (sub.created > newest.created ? sub : newest));
+}
+
+// The fields the webhook handlers would have written for this subscription
+function expectedFields(subscription, customerId) {
+  let status = mapStripeStatusToDb(subscription.status);
+
+  // Same strict rule as the webhook (latest_invoice is expanded when listing)
+  const invoice = typeof subscription.latest_invoice === 'object' ? subscription.latest_invoice : null;
+  if (awaitsInvoicePayment(subscription, invoice)) {
+    status = 'awaiting_payment';
+  }
+
+  const fields = {
+    status,
+    stripe_customer_id: customerId,
+    subscription_id: subscription.id,
+    current_period_end: toIsoDate(subscription.current_period_end)
+  };
+
+  // Prices outside the catalog leave the stored plan alone, as the webhook does
+  const subscribedPlan = planFromSubscription(subscription);
+  if (subscribedPlan) {
+    fields.plan = subscribedPlan.plan.key;
+    fields.plan_interval = subscribedPlan.interval;
+  }
+
+  return fields;
+}
+
+async function findUsers({ customerIds, subscriptionIds }) {
+  const users = new Map();
+
+  for (const ids of chunk(customerIds, PAGE_SIZE)) {
+    const { data, error } = await supabase.from('users').select('*').in('stripe_customer_id', ids);
+    if (error) throw error;
+    (data || []).forEach(user => users.set(user.id, user));
+  }
+
+  for (const ids of chunk(subscriptionIds, PAGE_SIZE)) {
+    const { data, error } = await supabase.from('users').select('*').in('subscription_id', ids);
+    if (error) throw error;
+    (data || []).forEach(user => users.set(user.id, user));
+  }
+
+  return [...users.values()];
+}
+
+// Users that look subscribed but whose customer has no subscription in Stripe (only after a full scan)
+async function findMissingInStripe(seenCustomerIds) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, email, status, stripe_customer_id, subscription_id')
+    .in('status', LIVE_DB_STATUSES)
+    .not('subscription_id', 'is', null);
+
+  if (error) throw error;
+
+  return (data || []).filter(user => !seenCustomerIds.has(user.stripe_customer_id));
+}
+
+async function applyFix(user, fields, actor) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('users')
+    .update({ ...fields, updated_at: now, last_stripe_event_at: now })
+    .eq('id', user.id)
+    .select();
+
+  if (error) throw error;
+  await recordAuditRows({ actor, action: 'reconcile', before: [user], after: data });
+}
+
+// Compares one stretch of Stripe subscriptions with the users table, fixing rows unless dryRun.
+// Returns the summary (without missing_in_stripe) and the customer ids it saw.
+async function compareSubscriptions({ dryRun, maxSubscriptions, startingAfter, actor }) {
+  const { byCustomer, scanned, hasMore, nextStartingAfter } = await listStripeSubscriptions({ maxSubscriptions, startingAfter });
+
+  const subscriptionCustomers = new Map();
+  byCustomer.forEach((subscriptions, customerId) => {
+    subscriptions.forEach(sub => subscriptionCustomers.set(sub.id, customerId));
+  });
+
+  const users = await findUsers({
+    customerIds: [...byCustomer.keys()],
+    subscriptionIds: [...subscriptionCustomers.keys()]
+  });
+
+  const summary = {
+    dry_run: dryRun,
+    subscriptions_scanned: scanned,
+    customers_checked: byCustomer.size,
+    users_checked: 0,
+    in_sync: 0,
+    mismatched: 0,
+    fixed: 0,
+    errors: 0,
+    unmatched_customers: [],
+    missing_in_stripe: [],
+    mismatches: [],
+    has_more: hasMore,
+    next_starting_after: nextStartingAfter
+  };
+
+  const matchedCustomers = new Set();
+
+  for (const user of users) {
+    const customerId = byCustomer.has(user.stripe_customer_id)
+      ? user.stripe_customer_id
+      : subscriptionCustomers.get(user.subscription_id);
+
+    matchedCustomers.add(customerId);
+    summary.users_checked++;
+
+    const expected = expectedFields(currentSubscription(byCustomer.get(customerId), user), customerId);
+    const differences = {};
+    COMPARED_FIELDS.forEach(field => {
+      if (field in expected && !sameField(field, user[field], expected[field])) {
+        differences[field] = { stored: user[field] ?? null, stripe: expected[field] };
+      }
+    });
+
+    if (Object.keys(differences).length === 0) {
+      summary.in_sync++;
+      continue;
+    }
+
+    summary.mismatched++;
+    const mismatch = { user_id: user.id, email: user.email, customer_id: customerId, differences, fixed: false };
+
+    if (!dryRun) {
+      try {
+        await applyFix(user, expected, actor);
+        mismatch.fixed = true;
+        summary.fixed++;
+      } catch (error) {
+        summary.errors++;
+        mismatch.error = error.message;
+        logger.error('Error fixing reconciled user', { error, user_id: user.id });
+      }
+    }
+
+    if (summary.mismatches.length < MAX_REPORTED) summary.mismatches.push(mismatch);
+  }
+
+  byCustomer.forEach((subscriptions, customerId) => {
+    if (matchedCustomers.has(customerId) || summary.unmatched_customers.length >= MAX_REPORTED) return;
+    const current = currentSubscription(subscriptions, null);
+    if (LIVE_STRIPE_STATUSES.includes(current.status)) {
+      summary.unmatched_customers.push({ customer_id: customerId, subscription_id: current.id, status: current.status });
+    }
+  });
+
+  return { summary, customerIds: new Set(byCustomer.keys()) };
+}
+
+// Only a scan that covered the whole list can tell a subscription is missing
+async function reportMissingInStripe(summary, seenCustomerIds) {
+  const missing = await findMissingInStripe(seenCustomerIds);
+  summary.missing_in_stripe = missing.slice(0, MAX_REPORTED).map(user => ({
+    user_id: user.id,
+    email: user.email,
+    status: user.status,
+    customer_id: user.stripe_customer_id,
+    subscription_id: user.subscription_id
+  }));
+}
+
+function logFinished(summary) {
+  logger.info('Stripe reconciliation finished', {
+    dry_run: summary.dry_run,
+    subscriptions_scanned: summary.subscriptions_scanned,
+    users_checked: summary.users_checked,
+    mismatched: summary.mismatched,
+    fixed: summary.fixed,
+    errors: summary.errors,
+    unmatched_customers: summary.unmatched_customers.length,
+    missing_in_stripe: summary.missing_in_stripe.length,
+    has_more: summary.has_more
+  });
+}
+
+/**
+ * Compares Stripe subscriptions with the users table and, unless dryRun, writes Stripe's
+ * state to mismatched rows (audited as 'reconcile'). Scans at most maxSubscriptions per run;
+ * pass the returned next_starting_after to continue. Returns a summary report.
+ */
+async function reconcile({ dryRun = true, maxSubscriptions = DEFAULT_MAX_SUBSCRIPTIONS, startingAfter, actor }) {
+  const startedAt = Date.now();
+  const { summary, customerIds } = await compareSubscriptions({ dryRun, maxSubscriptions, startingAfter, actor });
+
+  if (!summary.has_more && !startingAfter) {
+    await reportMissingInStripe(summary, customerIds);
+  }
+
+  summary.duration_ms = Date.now() - startedAt;
+  logFinished(summary);
+  return summary;
+}
+
+// Adds one page's summary to the run's
+function mergeSummaries(total, page) {
+  const counts = ['subscriptions_scanned', 'customers_checked', 'users_checked', 'in_sync', 'mismatched', 'fixed', 'errors'];
+  counts.forEach(field => { total[field] += page[field]; });
+  total.unmatched_customers = total.unmatched_customers.concat(page.unmatched_customers).slice(0, MAX_REPORTED);
+  total.mismatches = total.mismatches.concat(page.mismatches).slice(0, MAX_REPORTED);
+  total.has_more = page.has_more;
+  total.next_starting_after = page.next_starting_after;
+  return total;
+}
+
+// Where the last scheduled run stopped (null when it finished a full pass)
+async function loadCursor() {
+  const { data, error } = await supabase
+    .from('reconcile_cursors')
+    .select('starting_after')
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0].starting_after : null;
+}
+
+async function saveCursor(startingAfter) {
+  const { error } = await supabase
+    .from('reconcile_cursors')
+    .upsert({ starting_after: startingAfter, updated_at: new Date().toISOString() }, { onConflict: 'tenant_id' });
+
+  if (error) throw error;
+}
+
+// Compares the page after the cursor; a cursor Stripe no longer knows starts a new pass
+async function comparePage({ dryRun, startingAfter, actor }) {
+  try {
+    return { ...await compareSubscriptions({ dryRun, maxSubscriptions: PAGE_SIZE, startingAfter, actor }), startingAfter };
+  } catch (error) {
+    if (!startingAfter || error.code !== 'resource_missing') throw error;
+    logger.warn('Reconciliation cursor no longer exists in Stripe, starting over', { starting_after: startingAfter });
+    return { ...await compareSubscriptions({ dryRun, maxSubscriptions: PAGE_SIZE, actor }), startingAfter: null };
+  }
+}
+
+/**
+ * The scheduled run: continues from where the previous run stopped, one page at a time, saving
+ * the cursor after each page so a run cut short by the function timeout still moves on. Stops
+ * after SCHEDULED_MAX_SUBSCRIPTIONS; larger accounts are covered over several runs. Adds
+ * resumed_from and truncated to the reconcile() summary.
+ */
+async function reconcileScheduled({ dryRun, actor }) {
+  const startedAt = Date.now();
+  const customerIds = new Set();
+  let resumedFrom = await loadCursor();
+  let summary = null;
+
+  do {
+    const page = await comparePage({ dryRun, startingAfter: summary ? summary.next_starting_after : resumedFrom, actor });
+    if (!summary) resumedFrom = page.startingAfter;
+
+    summary = summary ? mergeSummaries(summary, page.summary) : page.summary;
+    page.customerIds.forEach(id => customerIds.add(id));
+    await saveCursor(summary.next_starting_after);
+  } while (summary.has_more && summary.subscriptions_scanned < SCHEDULED_MAX_SUBSCRIPTIONS);
+
+  if (!summary.has_more && !resumedFrom) {
+    await reportMissingInStripe(summary, customerIds);
+  }
+
+  summary.duration_ms = Date.now() - startedAt;
+  logFinished(summary);
+  return { ...summary, resumed_from: resumedFrom, truncated: summary.has_more };
+}
+
+module.exports = {
+  reconcile,
+  reconcileScheduled
+};
@@ -0,0 +1,246 @@
+// Referrals: every user can share a referral code; a new subscriber who checks out with it is
+// recorded in the referrals table, and the referrer is rewarded once the referred user's first
+// paid invoice comes in (see handleInvoicePaid). The reward is set with REFERRAL_COUPON_ID
+// (coupon on the referrer's Stripe customer) or REFERRAL_CREDIT_AMOUNT (customer balance credit).
+const crypto = require('crypto');
+const stripe = require('./stripeClient');
+const supabase = require('./supabase');
+const { findOrCreateCustomer } = require('./checkout');
+const { defaultCurrency } = require('./analytics');
+const { recordAuditRows } = require('./audit');
+const logger = require('./logger');
+
+// No 0/O or 1/I, so codes survive being read aloud or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// Configured reward, or null when referrals are only tracked
+function getReferralReward() {
+  if (process.env.REFERRAL_COUPON_ID) {
+    return { type: 'coupon', coupon: process.env.REFERRAL_COUPON_ID };
+  }
+
+  const amount = parseInt(process.env.REFERRAL_CREDIT_AMOUNT, 10);
+  if (amount > 0) {
+    return {
+      type: 'credit',
+      amount,
+      currency: (process.env.REFERRAL_CREDIT_CURRENCY || defaultCurrency()).toLowerCase()
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Returns the user's referral code, creating it on first use.
+ */
+async function getOrCreateReferralCode(user) {
+  if (user.referral_code) return user.referral_code;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data, error } = await supabase
+      .from('users')
+      .update({ referral_code: generateCode(), updated_at: new Date().toISOString() })
+      .eq('id', user.id)
+      .is('referral_code', null)
+      .select();
+
+    // Unique violation: the generated code is taken, try another
+    if (error && error.code === '23505') continue;
+    if (error) throw error;
+
+    if (data && data.length > 0) return data[0].referral_code;
+
+    // A concurrent request set the code first
+    const { data: rows, error: readError } = await supabase.from('users').select('referral_code').eq('id', user.id);
+    if (readError) throw readError;
+    return rows && rows.length > 0 ? rows[0].referral_code : null;
+  }
+
+  throw new Error('Could not generate a unique referral code');
+}
+
+async function findReferrer(code) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('referral_code', normalizeCode(code))
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Records that `user` signed up with a referral code. Only users who have never subscribed can
+ * be referred, at most once, and not by themselves.
+ * Returns { referral } or { error } for the HTTP response.
+ */
+async function recordReferral(user, code) {
+  const referrer = await findReferrer(code);
+  if (!referrer) {
+    return { error: 'Unknown referral code' };
+  }
+
+  if (referrer.id === user.id) {
+    return { error: 'You cannot use your own referral code' };
+  }
+
+  if (user.subscription_id) {
+    return { error: 'Referral codes are only for new subscribers' };
+  }
+
+  const { data, error } = await supabase
+    .from('referrals')
+    .insert([{
+      referrer_user_id: referrer.id,
+      referred_user_id: user.id,
+      referral_code: referrer.referral_code,
+      status: 'pending'
+    }])
+    .select()
+    .single();
+
+  // Unique violation on referred_user_id: this user was already referred (a retried checkout is fine)
+  if (error && error.code === '23505') {
+    const { data: existing, error: readError } = await supabase
+      .from('referrals')
+      .select('*')
+      .eq('referred_user_id', user.id)
+      .limit(1);
+
+    if (readError) throw readError;
+    if (existing && existing[0] && existing[0].referrer_user_id === referrer.id) {
+      return { referral: existing[0] };
+    }
+    return { error: 'A different referral code was already applied for this user' };
+  }
+  if (error) throw error;
+
+  logger.info('Referral recorded', { referrer_user_id: referrer.id, referred_user_id: user.id });
+  return { referral: data };
+}
+
+async function grantReward(referral, reward, actor) {
+  const { data: referrers, error } = await supabase.from('users').select('*').eq('id', referral.referrer_user_id);
+  if (error) throw error;
+
+  const referrer = referrers && referrers[0];
+  if (!referrer) throw new Error(`Referrer ${referral.referrer_user_id} no longer exists`);
+
+  // A referrer who has not subscribed yet gets a customer, so the reward applies when they do
+  const customer = await findOrCreateCustomer(referrer, referrer.email);
+  if (referrer.stripe_customer_id !== customer.id) {
+    const { data: updated, error: updateError } = await supabase
+      .from('users')
+      .update({ stripe_customer_id: customer.id, updated_at: new Date().toISOString() })
+      .eq('id', referrer.id)
+      .select();
+
+    if (updateError) throw updateError;
+    await recordAuditRows({ actor, action: 'referral.reward', before: [referrer], after: updated });
+  }
+
+  const idempotencyKey = `referral-reward-${referral.id}`;
+
+  if (reward.type === 'coupon') {
+    await stripe.customers.update(customer.id, { coupon: reward.coupon }, { idempotencyKey });
+    return { type: 'coupon', coupon: reward.coupon, customer_id: customer.id };
+  }
+
+  const transaction = await stripe.customers.createBalanceTransaction(customer.id, {
+    amount: -reward.amount,
+    currency: reward.currency,
+    description: 'Referral credit'
+  }, { idempotencyKey });
+
+  return { type: 'credit', amount: reward.amount, currency: reward.currency, customer_id: customer.id, transaction_id: transaction.id };
+}
+
+/**
+ * Rewards the referrer of the user behind a paid invoice, once per referral. Called for every
+ * paid invoice; only the first one with money paid counts (a $0 trial invoice does not).
+ * Throws if the reward could not be granted, leaving the referral pending for a replay.
+ */
+async function rewardReferral(userId, invoice, { actor }) {
+  if (!userId || !(invoice.amount_paid > 0)) return null;
+
+  // Without a configured reward, referrals stay pending and can still be rewarded later
+  const reward = getReferralReward();
+  if (!reward) return null;
+
+  // Claim the referral so concurrent deliveries reward it only once
+  const { data: claimed, error } = await supabase
+    .from('referrals')
+    .update({ status: 'rewarding' })
+    .eq('referred_user_id', userId)
+    .eq('status', 'pending')
+    .select();
+
+  if (error) throw error;
+  if (!claimed || claimed.length === 0) return null;
+
+  const referral = claimed[0];
+
+  let granted;
+  try {
+    granted = await grantReward(referral, reward, actor);
+  } catch (grantError) {
+    await supabase.from('referrals').update({ status: 'pending' }).eq('id', referral.id);
+    throw grantError;
+  }
+
+  const { error: saveError } = await supabase
+    .from('referrals')
+    .update({
+      status: 'rewarded',
+      reward: { ...granted, invoice_id: invoice.id },
+      rewarded_at: new Date().toISOString()
+    })
+    .eq('id', referral.id);
+
+  if (saveError) throw saveError;
+
+  logger.info('Referral rewarded', { referral_id: referral.id, reward_type: granted.type });
+  return granted;
+}
+
+/**
+ * Referral code and counts for the referral summary endpoint.
+ */
+async function getReferralSummary(user) {
+  const code = await getOrCreateReferralCode(user);
+
+  const { data, error } = await supabase
+    .from('referrals')
+    .select('status')
+    .eq('referrer_user_id', user.id);
+
+  if (error) throw error;
+
+  const referrals = data || [];
+  return {
+    referral_code: code,
+    referred: referrals.length,
+    rewarded: referrals.filter(referral => referral.status === 'rewarded').length,
+    reward: getReferralReward()
+  };
+}
+
+module.exports = {
+  getReferralReward,
+  getOrCreateReferralCode,
+  recordReferral,
+  rewardReferral,
+  getReferralSummary
+};
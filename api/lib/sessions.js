@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS || '3600', 10);
+
+function getSecret() {
+  if (!process.env.SESSION_SECRET) {
+    throw new Error('SESSION_SECRET environment variable is not set');
+  }
+  return process.env.SESSION_SECRET;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+}
+
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+/**
+ * Issues a signed session token for a verified email: base64url(payload).signature
+ */
+function issueSessionToken(email, ttlSeconds = SESSION_TTL_SECONDS) {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = Buffer.from(JSON.stringify({
+    typ: 'session',
+    email: normalizeEmail(email),
+    exp: expiresAt
+  })).toString('base64url');
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expires_at: new Date(expiresAt * 1000).toISOString()
+  };
+}
+
+/**
+ * Returns the token payload ({ email, exp }) or null when invalid or expired.
+ */
+function verifySessionToken(token) {
+  if (typeof token !== 'string' || !token.includes('.')) return null;
+
+  const [payload, signature] = token.split('.');
+  const expected = sign(payload);
+
+  const a = Buffer.from(signature || '');
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+
+  if (claims.typ !== 'session' || !claims.email || claims.exp < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return claims;
+}
+
+// One-time codes are stored as HMACs so a database leak does not reveal them
+function hashCode(email, code) {
+  return sign(`${normalizeEmail(email)}:${code}`);
+}
+
+module.exports = {
+  normalizeEmail,
+  issueSessionToken,
+  verifySessionToken,
+  hashCode
+};
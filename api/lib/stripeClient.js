@@ -0,0 +1,27 @@
+// Stripe client for the current tenant (see lib/tenantContext.js): the tenant's own secret key, or
+// STRIPE_SECRET_KEY outside a tenant context. Used exactly like a Stripe SDK instance.
+const Stripe = require('stripe');
+const { currentTenant } = require('./tenantContext');
+
+const clients = new Map();
+
+function stripeForTenant() {
+  const tenant = currentTenant();
+  const secretKey = tenant ? tenant.stripeSecretKey : process.env.STRIPE_SECRET_KEY;
+
+  // Never fall back to the deployment's key: that would bill the wrong Stripe account
+  if (tenant && !secretKey) {
+    throw new Error(`Tenant ${tenant.id} has no Stripe secret key`);
+  }
+
+  if (!clients.has(secretKey)) {
+    clients.set(secretKey, Stripe(secretKey));
+  }
+  return clients.get(secretKey);
+}
+
+module.exports = new Proxy({}, {
+  get(target, prop) {
+    return stripeForTenant()[prop];
+  }
+});
@@ -0,0 +1,137 @@
+const supabase = require('./supabase');
+const logger = require('./logger');
+
+// Statuses that mean an event no longer needs processing
+// ('unmatched' events were processed but no user row matched them)
+const SETTLED_STATUSES = ['processed', 'ignored', 'unmatched'];
+
+// Statuses an event can be claimed from (replay may also pick up unmatched events). An event
+// stuck in 'processing' can be claimed by either once its claim is stale.
+const CLAIMABLE_STATUSES = ['received', 'failed'];
+const REPLAYABLE_STATUSES = ['failed', 'unmatched'];
+
+// A claim older than this is taken to belong to a delivery that crashed, so a redelivery takes it over
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+function staleClaimCutoff() {
+  return new Date(Date.now() - CLAIM_TIMEOUT_MS).toISOString();
+}
+
+// Whether an event is stuck in 'processing' past the claim timeout
+function isStaleClaim(record) {
+  return record.status === 'processing' && Boolean(record.claimed_at)
+    && new Date(record.claimed_at).toISOString() < staleClaimCutoff();
+}
+
+/**
+ * Stores a verified event keyed by its Stripe id. Returns the stored row,
+ * which is the existing one when Stripe redelivers an event.
+ */
+async function recordEvent(event) {
+  const { data, error } = await supabase
+    .from('stripe_events')
+    .insert([{
+      id: event.id,
+      type: event.type,
+      stripe_created_at: new Date(event.created * 1000).toISOString(),
+      payload: event,
+      status: 'received',
+      attempts: 0
+    }])
+    .select()
+    .single();
+
+  if (!error) return data;
+
+  // Unique violation: the event was delivered before
+  if (error.code === '23505') {
+    return getEvent(event.id);
+  }
+
+  throw error;
+}
+
+async function getEvent(id) {
+  const { data, error } = await supabase
+    .from('stripe_events')
+    .select('*')
+    .eq('id', id)
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Atomically moves an event to 'processing'. Returns false when another
+ * delivery already claimed or settled it. A claim older than CLAIM_TIMEOUT_MS is taken over.
+ */
+async function claimEvent(record, { replay = false } = {}) {
+  const claim = () => supabase
+    .from('stripe_events')
+    .update({
+      status: 'processing',
+      attempts: (record.attempts || 0) + 1,
+      error: null,
+      claimed_at: new Date().toISOString()
+    })
+    .eq('id', record.id);
+
+  const { data, error } = await claim()
+    .in('status', replay ? REPLAYABLE_STATUSES : CLAIMABLE_STATUSES)
+    .select();
+
+  if (error) throw error;
+  if (data && data.length > 0) return true;
+
+  const { data: stale, error: staleError } = await claim()
+    .eq('status', 'processing')
+    .lt('claimed_at', staleClaimCutoff())
+    .select();
+
+  if (staleError) throw staleError;
+  if (stale && stale.length > 0) {
+    logger.warn('Took over a stale Stripe event claim', { event_id: record.id });
+    return true;
+  }
+  return false;
+}
+
+async function markEvent(id, status, errorMessage = null) {
+  const { error } = await supabase
+    .from('stripe_events')
+    .update({
+      status,
+      error: errorMessage,
+      processed_at: new Date().toISOString()
+    })
+    .eq('id', id);
+
+  if (error) logger.error('Error marking Stripe event', { event_id: id, status, error });
+}
+
+async function listEvents({ status, type, limit = 50 } = {}) {
+  let query = supabase
+    .from('stripe_events')
+    .select('id, type, status, error, attempts, stripe_created_at, received_at, processed_at')
+    .order('stripe_created_at', { ascending: false })
+    .limit(limit);
+
+  if (status) query = query.eq('status', status);
+  if (type) query = query.eq('type', type);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  SETTLED_STATUSES,
+  REPLAYABLE_STATUSES,
+  isStaleClaim,
+  recordEvent,
+  getEvent,
+  claimEvent,
+  markEvent,
+  listEvents
+};
@@ -0,0 +1,55 @@
+const { findPlanByPriceId } = require('./plans');
+
+// Live subscriptions still bill the customer; the rest have ended or never started
+const LIVE_STRIPE_STATUSES = ['active', 'trialing', 'past_due', 'unpaid', 'incomplete'];
+
+function mapStripeStatusToDb(stripeStatus) {
+  const statusMap = {
+    'active': 'active',
+    'trialing': 'trialing',
+    'past_due': 'past_due', // Strict handling: past_due means NO ACCESS
+    'unpaid': 'past_due',
+    'canceled': 'canceled',
+    'incomplete': 'pending',
+    'incomplete_expired': 'none'
+  };
+  return statusMap[stripeStatus] || 'none';
+}
+
+// Invoice statuses that leave nothing owed
+const SETTLED_INVOICE_STATUSES = ['paid', 'void'];
+
+// Whether a subscription's latest invoice decides its access: Stripe marks send_invoice
+// subscriptions active before their invoice is paid
+function requiresPaidInvoice(subscription) {
+  return subscription.status === 'active' && subscription.collection_method === 'send_invoice';
+}
+
+/**
+ * STRICT LOGIC, shared by the webhooks and reconciliation: such a subscription is
+ * awaiting_payment while its latest invoice is still owed (neither paid nor void).
+ */
+function awaitsInvoicePayment(subscription, latestInvoice) {
+  return requiresPaidInvoice(subscription)
+    && Boolean(latestInvoice)
+    && !SETTLED_INVOICE_STATUSES.includes(latestInvoice.status);
+}
+
+// Catalog plan of a subscription's first item, or null for prices outside the catalog
+function planFromSubscription(subscription) {
+  const item = subscription.items && subscription.items.data && subscription.items.data[0];
+  return item && item.price ? findPlanByPriceId(item.price.id) : null;
+}
+
+function toIsoDate(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+module.exports = {
+  LIVE_STRIPE_STATUSES,
+  mapStripeStatusToDb,
+  requiresPaidInvoice,
+  awaitsInvoicePayment,
+  planFromSubscription,
+  toIsoDate
+};
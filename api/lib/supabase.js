@@ -1,9 +1,67 @@
 const { createClient } = require('@supabase/supabase-js');
+const { currentTenant } = require('./tenantContext');
 
 if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
   throw new Error('Missing Supabase environment variables: SUPABASE_URL, SUPABASE_KEY');
 }
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+// Tables with a tenant_id column. Inside a tenant context, queries on them only see the current
+// tenant's rows and inserts are stamped with it. Outside a context (API key lookup, the OAuth
+// token endpoint) queries are not scoped. Sign-in codes (auth_codes) prove an email address
+// whatever the tenant, OAuth codes and tokens are reached through their client, and rpc() calls
+// pass the tenant themselves (see currentTenantId in lib/tenants.js).
+const TENANT_TABLES = [
+  'users',
+  'api_keys',
+  'oauth_clients',
+  'stripe_events',
+  'organizations',
+  'organization_members',
+  'referrals',
+  'credit_ledger',
+  'usage_counters',
+  'dunning_reminders',
+  'audit_log',
+  'reconcile_cursors'
+];
+
+function withTenant(values, tenantId) {
+  return Array.isArray(values)
+    ? values.map(row => ({ ...row, tenant_id: tenantId }))
+    : { ...values, tenant_id: tenantId };
+}
+
+// Updates can never move a row to another tenant
+function withoutTenant(values) {
+  const { tenant_id: tenantId, ...rest } = values;
+  return rest;
+}
+
+function scopedTable(table, tenantId) {
+  const query = client.from(table);
+  return {
+    select: (...args) => query.select(...args).eq('tenant_id', tenantId),
+    insert: (values, options) => query.insert(withTenant(values, tenantId), options),
+    upsert: (values, options) => query.upsert(withTenant(values, tenantId), options),
+    update: (values, options) => query.update(withoutTenant(values), options).eq('tenant_id', tenantId),
+    delete: options => query.delete(options).eq('tenant_id', tenantId)
+  };
+}
+
+const supabase = new Proxy(client, {
+  get(target, prop) {
+    if (prop === 'from') {
+      return table => {
+        const tenant = currentTenant();
+        return tenant && TENANT_TABLES.includes(table) ? scopedTable(table, tenant.id) : target.from(table);
+      };
+    }
+
+    const value = Reflect.get(target, prop);
+    return typeof value === 'function' ? value.bind(target) : value;
+  }
+});
 
 module.exports = supabase;
@@ -0,0 +1,19 @@
+// The tenant the current request runs for (see lib/tenants.js). It is carried through async calls
+// with AsyncLocalStorage, so the Supabase and Stripe clients can scope themselves to the tenant
+// without every function taking it as an argument. Outside runWithTenant there is no tenant.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+function runWithTenant(tenant, fn) {
+  return storage.run(tenant, fn);
+}
+
+function currentTenant() {
+  return storage.getStore() || null;
+}
+
+module.exports = {
+  runWithTenant,
+  currentTenant
+};
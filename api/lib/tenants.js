@@ -0,0 +1,221 @@
+// Tenants: one deployment serving several GPTs, each with its own Stripe account, plan and product
+// catalogs, Checkout return URLs and CORS origins. The API key (or OAuth client) a request uses
+// belongs to one tenant; users, keys and events are scoped by tenant_id (see lib/supabase.js).
+// The "default" tenant is configured from environment variables as before, so a single-tenant
+// deployment needs no tenants rows. Stripe secrets are stored encrypted (see lib/encryption.js).
+const supabase = require('./supabase');
+const { encrypt, decrypt } = require('./encryption');
+const { currentTenant } = require('./tenantContext');
+const logger = require('./logger');
+
+const DEFAULT_TENANT_ID = 'default';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+
+// Origins every tenant's GPT calls from
+const GPT_ORIGINS = ['https://chat.openai.com', 'https://chatgpt.com'];
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+
+function defaultTenant() {
+  return {
+    id: DEFAULT_TENANT_ID,
+    name: 'Default',
+    stripeSecretKey: process.env.STRIPE_SECRET_KEY,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    planCatalog: null,
+    productCatalog: null,
+    successUrl: process.env.CHECKOUT_SUCCESS_URL || null,
+    cancelUrl: process.env.CHECKOUT_CANCEL_URL || null,
+    corsOrigins: [process.env.FRONTEND_URL].filter(Boolean),
+    createdAt: null,
+    updatedAt: null
+  };
+}
+
+// Defines a secret that is decrypted on first use. An unreadable one (bad ciphertext, or a missing
+// or rotated TENANT_ENCRYPTION_KEY) reads as unset, so only that tenant's Stripe calls and
+// webhooks fail instead of every request that loads the tenants.
+function defineSecret(tenant, name, ciphertext) {
+  let value;
+  Object.defineProperty(tenant, name, {
+    enumerable: true,
+    get() {
+      if (value !== undefined) return value;
+      try {
+        value = ciphertext ? decrypt(ciphertext) : null;
+      } catch (error) {
+        logger.error('Cannot decrypt tenant secret; re-enter it', { tenant_id: tenant.id, field: name, error });
+        value = null;
+      }
+      return value;
+    }
+  });
+}
+
+function fromRow(row) {
+  const tenant = {
+    id: row.id,
+    name: row.name,
+    // Without a catalog of its own a tenant has no plans or products: the deployment's
+    // PLAN_CATALOG and PRODUCT_CATALOG hold price ids of another Stripe account
+    planCatalog: row.plan_catalog || {},
+    productCatalog: row.product_catalog || {},
+    successUrl: row.success_url || null,
+    cancelUrl: row.cancel_url || null,
+    corsOrigins: row.cors_origins || [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+
+  defineSecret(tenant, 'stripeSecretKey', row.stripe_secret_key_encrypted);
+  defineSecret(tenant, 'webhookSecret', row.stripe_webhook_secret_encrypted);
+  return tenant;
+}
+
+async function loadTenants() {
+  if (cache && cache.expiresAt > Date.now()) return cache.tenants;
+
+  const { data, error } = await supabase
+    .from('tenants')
+    .select('*')
+    .is('disabled_at', null)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  const tenants = [defaultTenant(), ...(data || []).map(fromRow)];
+  cache = { tenants, expiresAt: Date.now() + CACHE_TTL_MS };
+  return tenants;
+}
+
+function clearCache() {
+  cache = null;
+}
+
+/**
+ * Every enabled tenant, the default one first. Cached for a minute per instance.
+ */
+async function listTenants() {
+  return loadTenants();
+}
+
+// The tenant with this id, or null when it is unknown or disabled
+async function getTenant(id) {
+  if (!id) return null;
+  return (await loadTenants()).find(tenant => tenant.id === id) || null;
+}
+
+// Id of the tenant the request runs for; for SQL functions, which the tenant scoping in
+// lib/supabase.js does not reach
+function currentTenantId() {
+  const tenant = currentTenant();
+  return tenant ? tenant.id : DEFAULT_TENANT_ID;
+}
+
+/**
+ * Whether any tenant's GPT or frontend may call the API from `origin` (the CORS check).
+ */
+async function isKnownOrigin(origin) {
+  if (GPT_ORIGINS.includes(origin)) return true;
+  return (await loadTenants()).some(tenant => tenant.corsOrigins.includes(origin));
+}
+
+// Whether a browser request from `origin` may use this tenant's credentials
+function originAllowedForTenant(tenant, origin) {
+  return !origin || GPT_ORIGINS.includes(origin) || tenant.corsOrigins.includes(origin);
+}
+
+// Admin shape of a tenant (never exposes its secrets)
+function serializeTenant(tenant) {
+  return {
+    id: tenant.id,
+    name: tenant.name,
+    stripe_secret_key_set: Boolean(tenant.stripeSecretKey),
+    stripe_webhook_secret_set: Boolean(tenant.webhookSecret),
+    plan_catalog: tenant.planCatalog,
+    product_catalog: tenant.productCatalog,
+    success_url: tenant.successUrl,
+    cancel_url: tenant.cancelUrl,
+    cors_origins: tenant.corsOrigins,
+    created_at: tenant.createdAt,
+    updated_at: tenant.updatedAt
+  };
+}
+
+// Maps API fields to tenants columns, encrypting the Stripe secrets
+function tenantColumns(fields) {
+  const columns = {};
+  if (fields.name !== undefined) columns.name = fields.name;
+  if (fields.stripe_secret_key !== undefined) columns.stripe_secret_key_encrypted = encrypt(fields.stripe_secret_key);
+  if (fields.stripe_webhook_secret !== undefined) columns.stripe_webhook_secret_encrypted = encrypt(fields.stripe_webhook_secret);
+  if (fields.plan_catalog !== undefined) columns.plan_catalog = fields.plan_catalog;
+  if (fields.product_catalog !== undefined) columns.product_catalog = fields.product_catalog;
+  if (fields.success_url !== undefined) columns.success_url = fields.success_url;
+  if (fields.cancel_url !== undefined) columns.cancel_url = fields.cancel_url;
+  if (fields.cors_origins !== undefined) columns.cors_origins = fields.cors_origins;
+  return columns;
+}
+
+// Tenant ids appear in webhook URLs: lowercase slugs, "default" being reserved
+function isValidTenantId(id) {
+  return TENANT_ID_PATTERN.test(id) && id !== DEFAULT_TENANT_ID;
+}
+
+/**
+ * Creates a tenant. Returns { tenant } or { error } when the id is taken.
+ */
+async function createTenant(fields) {
+  const { data, error } = await supabase
+    .from('tenants')
+    .insert([{ id: fields.id, ...tenantColumns(fields) }])
+    .select()
+    .single();
+
+  // Unique violation on id
+  if (error && error.code === '23505') {
+    return { error: `Tenant ${fields.id} already exists` };
+  }
+  if (error) throw error;
+
+  clearCache();
+  return { tenant: fromRow(data) };
+}
+
+/**
+ * Updates a tenant's settings; `disabled: true` stops all of its keys and webhooks.
+ * Returns the updated tenant, or null when there is no such tenant.
+ */
+async function updateTenant(id, fields) {
+  const updates = { ...tenantColumns(fields), updated_at: new Date().toISOString() };
+  if (fields.disabled !== undefined) {
+    updates.disabled_at = fields.disabled ? new Date().toISOString() : null;
+  }
+
+  const { data, error } = await supabase
+    .from('tenants')
+    .update(updates)
+    .eq('id', id)
+    .select();
+
+  if (error) throw error;
+
+  clearCache();
+  return data && data.length > 0 ? fromRow(data[0]) : null;
+}
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  GPT_ORIGINS,
+  defaultTenant,
+  isValidTenantId,
+  listTenants,
+  getTenant,
+  currentTenantId,
+  isKnownOrigin,
+  originAllowedForTenant,
+  serializeTenant,
+  createTenant,
+  updateTenant
+};
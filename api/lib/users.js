@@ -0,0 +1,49 @@
+const supabase = require('./supabase');
+
+// Escapes LIKE wildcards so ilike() performs an exact, case-insensitive match
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+async function findOne(query) {
+  const { data, error } = await query.limit(1);
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Exact case-insensitive email lookup.
+ */
+async function findUserByEmail(email) {
+  if (!email) return null;
+  return findOne(supabase.from('users').select('*').ilike('email', escapeLike(email)));
+}
+
+/**
+ * Resolves a user for Stripe data: stripe_customer_id first, then subscription_id,
+ * then exact case-insensitive email. Returns { user, matchedBy } (user is null if none matched).
+ */
+async function resolveStripeUser({ customerId, subscriptionId, email } = {}) {
+  if (customerId) {
+    const user = await findOne(supabase.from('users').select('*').eq('stripe_customer_id', customerId));
+    if (user) return { user, matchedBy: 'stripe_customer_id' };
+  }
+
+  if (subscriptionId) {
+    const user = await findOne(supabase.from('users').select('*').eq('subscription_id', subscriptionId));
+    if (user) return { user, matchedBy: 'subscription_id' };
+  }
+
+  if (email) {
+    const user = await findUserByEmail(email);
+    if (user) return { user, matchedBy: 'email' };
+  }
+
+  return { user: null, matchedBy: null };
+}
+
+module.exports = {
+  escapeLike,
+  findUserByEmail,
+  resolveStripeUser
+};
@@ -0,0 +1,168 @@
+// Minimal JSON Schema validation for route definitions (the subset used in api/routes)
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isEmail(value) {
+  return typeof value === 'string' && EMAIL_PATTERN.test(value);
+}
+
+const formatCheckers = {
+  email: isEmail,
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => !Number.isNaN(Date.parse(value))
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+// Query strings and path params arrive as strings; coerce them to the schema type
+function coerce(value, schema) {
+  if (typeof value !== 'string' || !schema || !schema.type) return value;
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (types.includes('integer') && /^-?\d+$/.test(value)) return parseInt(value, 10);
+  if (types.includes('number') && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  if (types.includes('array')) return value.split(',').map(item => coerce(item.trim(), schema.items));
+  return value;
+}
+
+/**
+ * Validates a value against a schema, returning a list of error messages.
+ */
+function validate(value, schema, path = 'value') {
+  const errors = [];
+  if (!schema) return errors;
+
+  if (value === undefined || value === null) {
+    if (value === null && schema.nullable) return errors;
+    if (value === null && schema.type && matchesType(null, schema.type)) return errors;
+    if (value === null) errors.push(`${path} must not be null`);
+    return errors;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} must be of type ${[].concat(schema.type).join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.format && formatCheckers[schema.format] && !formatCheckers[schema.format](value)) {
+      errors.push(`${path} must be a valid ${schema.format}`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} has an invalid format`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === '') errors.push(`${key} is required`);
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validate(value[key], properties[key], key));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Coerces string values and applies defaults for each declared property, in place.
+ */
+function prepare(target, schema) {
+  if (!schema || !schema.properties || !target) return;
+
+  Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+    if (target[key] === undefined && propertySchema.default !== undefined) {
+      target[key] = propertySchema.default;
+    } else if (target[key] !== undefined) {
+      target[key] = coerce(target[key], propertySchema);
+    }
+  });
+}
+
+/**
+ * Returns an Express middleware validating req.params, req.query and req.body.
+ */
+function validateRequest({ params, query, body } = {}) {
+  return (req, res, next) => {
+    const errors = [];
+
+    if (params) {
+      prepare(req.params, params);
+      errors.push(...validate(req.params, params, 'params'));
+    }
+
+    if (query) {
+      prepare(req.query, query);
+      errors.push(...validate(req.query, query, 'query'));
+    }
+
+    if (body) {
+      if (req.body === undefined || req.body === null) req.body = {};
+      prepare(req.body, body);
+      errors.push(...validate(req.body, body, 'body'));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], details: errors });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  isEmail,
+  validate,
+  validateRequest
+};
@@ -1,7 +1,22 @@
 // api/middleware/auth.js
 
-// Simple API key authentication middleware
-function authenticateApiKey(req, res, next) {
+const crypto = require('crypto');
+const { findActiveKey, touchLastUsed, hasScope, hashKey } = require('../lib/apiKeys');
+const { isAccessToken, findAccessToken } = require('../lib/oauth');
+const { DEFAULT_TENANT_ID, getTenant, originAllowedForTenant } = require('../lib/tenants');
+const { runWithTenant } = require('../lib/tenantContext');
+const { rateLimit, DEFAULT_LIMITS } = require('./rateLimit');
+const logger = require('../lib/logger');
+
+// Rejected credentials count against the same per-IP limit as requests without a key, so sending
+// a different made-up key on every request does not get around rate limiting
+const rejectedCredentialLimiter = rateLimit({ name: 'global', by: 'ip', ...DEFAULT_LIMITS.ip });
+
+function rejectCredentials(req, res, status, error) {
+  rejectedCredentialLimiter(req, res, () => res.status(status).json({ error }));
+}
+
+function extractApiKey(req) {
   const headerApiKey = req.headers['x-api-key'];
   const authHeader = req.headers['authorization'];
 
@@ -10,81 +25,156 @@ function authenticateApiKey(req, res, next) {
       ? authHeader.slice(7).trim()
       : null;
 
-  const apiKey = headerApiKey || bearerApiKey;
+  return headerApiKey || bearerApiKey;
+}
 
-  if (!apiKey) {
-    console.log('❌ API key missing');
-    console.log('   Request path:', req.path);
-    console.log('   Request method:', req.method);
-    console.log('   Headers received:', JSON.stringify(req.headers, null, 2));
-    console.log('   Looking for: x-api-key or Authorization header');
-    return res.status(401).json({ error: 'API key is required' });
-  }
+// GPT_API_KEY is kept only as a bootstrap key for minting the first per-GPT keys.
+// It is granted every scope, so unset it once real keys exist.
+function matchesBootstrapKey(apiKey) {
+  return matchesSecret(apiKey, process.env.GPT_API_KEY);
+}
 
-  const validApiKey = process.env.GPT_API_KEY;
-  if (!validApiKey) {
-    console.error('GPT_API_KEY is not set in environment variables');
+function matchesSecret(value, secret) {
+  if (!secret || !value) return false;
+
+  const a = Buffer.from(value);
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// OAuth access tokens act like an API key with the token's scopes, bound to one user (req.oauth)
+async function authenticateAccessToken(req, res, next, accessToken) {
+  let token;
+  try {
+    token = await findAccessToken(accessToken);
+  } catch (error) {
+    logger.error('Error looking up OAuth access token', { error });
     return res.status(500).json({ error: 'Server configuration error' });
   }
 
-  if (apiKey !== validApiKey) {
-    console.log('❌ Invalid API key');
-    console.log('   Received length:', apiKey.length, 'First 4 chars:', apiKey.substring(0, 4));
-    console.log('   Expected length:', validApiKey.length, 'First 4 chars:', validApiKey.substring(0, 4));
-    console.log('   Request path:', req.path);
-    return res.status(401).json({ error: 'Invalid API key' });
+  if (!token) {
+    // Tells OAuth clients (GPT Actions) to refresh the token
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return rejectCredentials(req, res, 401, 'Invalid or expired access token');
   }
-  
-  console.log('✅ API key validated successfully for:', req.path);
 
-  next();
-}
+  req.apiKey = { id: null, label: `oauth:${token.clientName}`, owner: null, scopes: token.scopes };
+  req.oauth = { clientId: token.clientId, email: token.email };
 
-// Optional: in-memory rate limiting per API key
-const limits = new Map();
+  enterTenant(req, res, next, token.tenantId);
+}
 
 /**
- * Returns an Express middleware that rate-limits by API key.
+ * Runs the rest of the request as the credential's tenant (see lib/tenantContext.js), so every
+ * query and Stripe call is scoped to it. In production a browser may only use a tenant's
+ * credentials from that tenant's CORS origins.
  */
-function rateLimitByApiKey({ windowMs = 15 * 60 * 1000, max = 100 } = {}) {
-  return (req, res, next) => {
-    const headerApiKey = req.headers['x-api-key'];
-    const authHeader = req.headers['authorization'];
+async function enterTenant(req, res, next, tenantId) {
+  let tenant;
+  try {
+    tenant = await getTenant(tenantId || DEFAULT_TENANT_ID);
+  } catch (error) {
+    logger.error('Error loading tenant', { error, tenant_id: tenantId });
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
 
-    const bearerApiKey =
-      typeof authHeader === 'string' && authHeader.toLowerCase().startsWith('bearer ')
-        ? authHeader.slice(7).trim()
-        : null;
+  if (!tenant) {
+    logger.warn('API key belongs to an unknown or disabled tenant', { tenant_id: tenantId, path: req.path });
+    return rejectCredentials(req, res, 401, 'Invalid API key');
+  }
 
-    const apiKey = headerApiKey || bearerApiKey;
+  if (process.env.NODE_ENV === 'production' && !originAllowedForTenant(tenant, req.headers.origin)) {
+    logger.warn('Origin not allowed for tenant', { tenant_id: tenant.id, origin: req.headers.origin });
+    return res.status(403).json({ error: 'CORS policy violation' });
+  }
 
-    if (!apiKey) {
-      // If no key, skip this limiter (auth middleware will handle it)
-      return next();
-    }
+  req.tenant = tenant;
+  // Counted per key from here on (see middleware/rateLimit.js)
+  req.apiKeyHash = hashKey(extractApiKey(req));
+  runWithTenant(tenant, next);
+}
 
-    const now = Date.now();
-    let info = limits.get(apiKey);
+// API key authentication middleware backed by the api_keys table
+// (also accepts OAuth access tokens issued by /oauth/token)
+async function authenticateApiKey(req, res, next) {
+  const apiKey = extractApiKey(req);
 
-    if (!info || info.resetTime <= now) {
-      info = { count: 0, resetTime: now + windowMs };
-      limits.set(apiKey, info);
-    }
+  if (!apiKey) {
+    logger.warn('API key missing', { method: req.method, path: req.path });
+    return res.status(401).json({ error: 'API key is required' });
+  }
+
+  if (isAccessToken(apiKey)) {
+    return authenticateAccessToken(req, res, next, apiKey);
+  }
 
-    info.count += 1;
+  if (matchesBootstrapKey(apiKey)) {
+    req.apiKey = { id: null, label: 'bootstrap', owner: null, scopes: ['*'] };
+    return enterTenant(req, res, next, DEFAULT_TENANT_ID);
+  }
 
-    if (info.count > max) {
-      return res.status(429).json({
-        error: 'Too many requests',
-        retryAfter: Math.ceil((info.resetTime - now) / 1000),
-      });
-    }
+  let keyRecord;
+  try {
+    keyRecord = await findActiveKey(apiKey);
+  } catch (error) {
+    logger.error('Error looking up API key', { error });
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  if (!keyRecord) {
+    logger.warn('Invalid or revoked API key', { path: req.path });
+    return rejectCredentials(req, res, 401, 'Invalid API key');
+  }
 
+  req.apiKey = {
+    id: keyRecord.id,
+    label: keyRecord.label,
+    owner: keyRecord.owner,
+    scopes: keyRecord.scopes || []
+  };
+
+  // Best effort: a failed timestamp update should not block the request
+  touchLastUsed(keyRecord.id).catch(err => logger.error('Error touching API key', { error: err }));
+
+  enterTenant(req, res, next, keyRecord.tenant_id);
+}
+
+/**
+ * Returns an Express middleware that rejects keys lacking the given scope.
+ * Must run after authenticateApiKey.
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey || !hasScope(req.apiKey.scopes, scope)) {
+      return res.status(403).json({ error: `API key lacks required scope: ${scope}` });
+    }
     next();
   };
 }
 
+// Vercel Cron sends `Authorization: Bearer $CRON_SECRET`; cron routes accept nothing else
+function authenticateCron(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = typeof authHeader === 'string' && authHeader.toLowerCase().startsWith('bearer ')
+    ? authHeader.slice(7).trim()
+    : null;
+
+  if (!process.env.CRON_SECRET) {
+    logger.error('CRON_SECRET is not set; refusing cron request', { path: req.path });
+    return res.status(503).json({ error: 'Cron is not configured' });
+  }
+
+  if (!matchesSecret(token, process.env.CRON_SECRET)) {
+    logger.warn('Invalid cron secret', { path: req.path });
+    return rejectCredentials(req, res, 401, 'Invalid cron secret');
+  }
+
+  next();
+}
+
 module.exports = {
   authenticateApiKey,
-  rateLimitByApiKey,
+  authenticateCron,
+  requireScope,
+  extractApiKey,
 };
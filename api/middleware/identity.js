@@ -0,0 +1,67 @@
+// api/middleware/identity.js
+const { verifySessionToken } = require('../lib/sessions');
+const { hasScope } = require('../lib/apiKeys');
+const logger = require('../lib/logger');
+
+/**
+ * Returns an Express middleware that resolves the end user into req.identity = { email, verified }.
+ *
+ * An OAuth access token is bound to the user who authorized it. Otherwise a session token
+ * from POST /api/auth/verify (X-Session-Token header or `session_token` parameter) identifies the user. A raw email is only trusted from API keys holding the
+ * identity:assert scope (server-side integrations that authenticate users themselves).
+ * `source` is where the email and token parameters live: 'body', 'query' or 'params'.
+ */
+function resolveIdentity(source = 'body') {
+  return (req, res, next) => {
+    const input = req[source] || {};
+    const token = req.headers['x-session-token'] || (source === 'params' ? req.query : input).session_token;
+    const email = input.email;
+
+    if (req.oauth) {
+      if (email && email.trim().toLowerCase() !== req.oauth.email) {
+        return res.status(403).json({ error: 'Email does not match the signed-in user' });
+      }
+
+      req.identity = { email: req.oauth.email, verified: true };
+      return next();
+    }
+
+    if (token) {
+      let claims;
+      try {
+        claims = verifySessionToken(token);
+      } catch (error) {
+        logger.error('Session verification error', { error: error.message });
+        return res.status(500).json({ error: 'Server configuration error' });
+      }
+
+      if (!claims) {
+        return res.status(401).json({ error: 'Invalid or expired session token; verify the email again' });
+      }
+
+      if (email && email.trim().toLowerCase() !== claims.email) {
+        return res.status(403).json({ error: 'Email does not match the session token' });
+      }
+
+      req.identity = { email: claims.email, verified: true };
+      return next();
+    }
+
+    if (!email) {
+      return res.status(400).json({ error: 'session_token is required' });
+    }
+
+    if (!req.apiKey || !hasScope(req.apiKey.scopes, 'identity:assert')) {
+      return res.status(401).json({
+        error: 'Email must be verified: call /api/auth/start and /api/auth/verify, then pass session_token'
+      });
+    }
+
+    req.identity = { email, verified: false };
+    next();
+  };
+}
+
+module.exports = {
+  resolveIdentity
+};
@@ -0,0 +1,82 @@
+// api/middleware/rateLimit.js
+const { getRateLimitStore } = require('../lib/rateLimitStore');
+const logger = require('../lib/logger');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+
+function envInt(name, fallback) {
+  return process.env[name] ? parseInt(process.env[name], 10) : fallback;
+}
+
+// Default limits, overridable per deployment
+const DEFAULT_LIMITS = {
+  ip: { windowMs: FIFTEEN_MINUTES, max: envInt('RATE_LIMIT_IP_MAX', 100) },
+  apiKey: { windowMs: FIFTEEN_MINUTES, max: envInt('RATE_LIMIT_KEY_MAX', 1000) },
+  user: { windowMs: FIFTEEN_MINUTES, max: envInt('RATE_LIMIT_USER_MAX', 100) }
+};
+
+// What a limit counts by. API keys are counted by the hash authenticateApiKey sets once it has
+// accepted the key, so made-up keys never get a counter of their own (they count per IP instead).
+const KEY_GENERATORS = {
+  ip: req => req.ip,
+  apiKey: req => req.apiKeyHash || null,
+  user: req => (req.identity ? req.identity.email.toLowerCase() : null)
+};
+
+// When several limits apply, the headers describe the one closest to running out
+function setRateLimitHeaders(res, { limit, remaining, reset }) {
+  const current = res.locals.rateLimit;
+  if (current && current.remaining <= remaining) return;
+
+  res.locals.rateLimit = { limit, remaining, reset };
+  res.set('RateLimit-Limit', String(limit));
+  res.set('RateLimit-Remaining', String(remaining));
+  res.set('RateLimit-Reset', String(reset));
+}
+
+/**
+ * Returns an Express middleware enforcing `max` requests per `windowMs`, counted per
+ * `by` ('ip', 'apiKey' or 'user') in the shared rate limit store. `name` separates
+ * counters, so a route can have its own limit on top of the global ones.
+ * Requests without a value to count by (e.g. no API key) and `skip(req)` matches pass through.
+ */
+function rateLimit({ name, by, max, windowMs, skip }) {
+  const keyFor = KEY_GENERATORS[by];
+  if (!keyFor) throw new Error(`Unknown rate limit key: ${by}`);
+
+  return async (req, res, next) => {
+    if (skip && skip(req)) return next();
+
+    const key = keyFor(req);
+    if (!key) return next();
+
+    let counter;
+    try {
+      counter = await getRateLimitStore().hit(`${name}:${by}:${key}`, windowMs);
+    } catch (error) {
+      // Fail open: an unavailable store should not take the API down
+      logger.error('Rate limit store error', { error });
+      return next();
+    }
+
+    const reset = Math.max(Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000), 0);
+    const remaining = Math.max(max - counter.count, 0);
+
+    setRateLimitHeaders(res, { limit: max, remaining, reset });
+
+    if (counter.count > max) {
+      res.set('Retry-After', String(reset));
+      return res.status(429).json({
+        error: 'Too many requests, please try again later.',
+        retry_after: reset
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  rateLimit
+};
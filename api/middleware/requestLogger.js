@@ -0,0 +1,47 @@
+// api/middleware/requestLogger.js
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+
+// Accept a caller-supplied id (e.g. from a proxy) only if it is short and plain
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Route template ('/api/user/:email') rather than the raw path, which may contain emails
+function routeOf(req) {
+  return req.route ? `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}` || '/' : req.path;
+}
+
+/**
+ * Assigns a request id (returned as X-Request-Id), runs the rest of the request in a
+ * logging context carrying it, and logs one line per request when the response finishes.
+ */
+function requestLogger(req, res, next) {
+  const incomingId = req.headers['x-request-id'];
+  const requestId = typeof incomingId === 'string' && REQUEST_ID_PATTERN.test(incomingId)
+    ? incomingId
+    : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const fields = {
+      method: req.method,
+      route: routeOf(req),
+      status: res.statusCode,
+      latency_ms: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+      key_label: req.apiKey ? req.apiKey.label : null
+    };
+
+    logger.runWithRequestContext({ requestId }, () => {
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      logger[level]('request', fields);
+    });
+  });
+
+  logger.runWithRequestContext({ requestId }, next);
+}
+
+module.exports = {
+  requestLogger
+};
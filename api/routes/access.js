@@ -1,36 +1,146 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../lib/supabase');
-const { authenticateApiKey } = require('../middleware/auth');
+const { route } = require('../lib/openapi');
+const { findUserByEmail } = require('../lib/users');
+const { getPlan } = require('../lib/plans');
+const { getEntitlements } = require('../lib/entitlements');
+const { evaluateAccess } = require('../lib/accessPolicy');
+const { findOrganizationAccess, acceptMembership, memberBillingView } = require('../lib/organizations');
+const { getCreditBalance } = require('../lib/credits');
+const { requestActor, recordAudit } = require('../lib/audit');
+const logger = require('../lib/logger');
 
-// Check user access
-router.get('/check-access', authenticateApiKey, async (req, res) => {
-  try {
-    const { email } = req.query;
-
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
+const AccessResponse = {
+  type: 'object',
+  properties: {
+    has_access: { type: 'boolean', description: 'Whether the user has premium access' },
+    access_reason: {
+      type: 'string',
+      enum: ['active', 'trialing', 'grace_period', 'lifetime', 'credits', 'period_ended', 'trial_excluded', 'past_due', 'awaiting_payment', 'canceled', 'no_subscription', 'user_not_found'],
+      description: 'Why access is allowed or denied'
+    },
+    grace_until: {
+      type: ['string', 'null'],
+      format: 'date-time',
+      description: 'For past_due or awaiting_payment users: when access ends unless the invoice is paid'
+    },
+    credits: { type: 'integer', description: 'Remaining credits from one-time purchases' },
+    lifetime_plan: { type: ['string', 'null'], description: 'Plan granted for good by a lifetime purchase' },
+    plan: { type: ['string', 'null'], description: 'Current plan key' },
+    plan_name: { type: ['string', 'null'], description: 'Current plan display name' },
+    plan_interval: { type: ['string', 'null'], description: 'Billing interval (month or year)' },
+    features: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Features the user is entitled to right now'
+    },
+    quotas: {
+      type: 'object',
+      description: 'Usage quotas for the current period, by metric',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          limit: { type: ['integer', 'null'], description: 'null means unlimited' },
+          used: { type: 'integer' },
+          remaining: { type: ['integer', 'null'] },
+          resets_at: { type: 'string', format: 'date-time' }
+        }
+      }
+    },
+    status: { type: ['string', 'null'], description: 'Subscription status' },
+    current_period_end: {
+      type: ['string', 'null'],
+      format: 'date-time',
+      description: 'When the current billing period ends'
+    },
+    trial_end: { type: ['string', 'null'], format: 'date-time', description: 'When the trial ends, if any' },
+    cancel_at_period_end: { type: 'boolean', description: 'Whether a cancellation is pending' },
+    cancel_at: {
+      type: ['string', 'null'],
+      format: 'date-time',
+      description: 'When the pending cancellation takes effect (access ends)'
+    },
+    paused: { type: 'boolean', description: 'Whether billing is paused' },
+    pause_resumes_at: { type: ['string', 'null'], format: 'date-time' },
+    latest_invoice: {
+      type: ['object', 'null'],
+      description: 'Most recent subscription invoice',
+      properties: {
+        id: { type: 'string' },
+        status: { type: ['string', 'null'], description: 'draft, open, paid, void or uncollectible' },
+        hosted_invoice_url: { type: ['string', 'null'], description: 'Stripe page where the invoice can be paid' },
+        amount_due: { type: ['integer', 'null'], description: 'Amount due in the smallest currency unit' },
+        currency: { type: ['string', 'null'] }
+      }
+    },
+    access_source: {
+      type: ['string', 'null'],
+      enum: ['user', 'organization', null],
+      description: 'Whose subscription the access comes from: the user\'s own, or their organization\'s'
+    },
+    organization: {
+      type: ['object', 'null'],
+      description: 'The organization granting access, for access_source=organization',
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' }
+      }
+    },
+    user_found: { type: 'boolean', description: 'Whether the user exists (has ever started a subscription)' },
+    user_created: { type: 'boolean', description: 'Whether this call created the user row' }
+  }
+};
 
-    // Find user in Supabase
-    const { data: users, error: findError } = await supabase
-      .from('users')
-      .select('*')
-      .ilike('email', email)
-      .limit(1);
+const UserResponse = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    email: { type: 'string' },
+    plan: { type: ['string', 'null'] },
+    status: { type: ['string', 'null'] },
+    customer_id: { type: ['string', 'null'] },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' }
+  }
+};
 
-    if (findError) {
-      console.error('Error finding user:', findError);
-      throw findError;
+// Check user access
+route(router, {
+  method: 'get',
+  path: '/check-access',
+  operationId: 'checkAccess',
+  summary: 'Check if a user has premium access',
+  scope: 'access:read',
+  identity: 'query',
+  query: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'User email address' }
     }
+  },
+  responses: {
+    200: { description: 'Access status', schema: AccessResponse }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
 
-    let user = users && users.length > 0 ? users[0] : null;
+    let user = await findUserByEmail(email);
     let userCreated = false;
+    const now = new Date();
 
-    // If user doesn't exist, create them
-    if (!user) {
+    // Without access of their own, organization members get it through the owner's subscription
+    let organizationAccess = null;
+    if (!user || !evaluateAccess(user, now).hasAccess) {
+      organizationAccess = await findOrganizationAccess(email, now);
+    }
+
+    // Creating users on first check is opt-in (otherwise anyone could fill the users table),
+    // except for invited organization members, who need a row for their usage quotas
+    if (!user && (organizationAccess || process.env.AUTO_PROVISION_USERS === 'true')) {
       try {
-        console.log(`Creating new user in Supabase: ${email}`);
         const { data: newUser, error: createError } = await supabase
           .from('users')
           .insert([{ email: email }])
@@ -41,52 +151,114 @@ router.get('/check-access', authenticateApiKey, async (req, res) => {
 
         user = newUser;
         userCreated = true;
-        console.log(`✅ User created in Supabase: ${email}`);
+        await recordAudit({ actor: requestActor(req), action: 'user.create', after: user });
+        logger.info('User created on first access check', { user_id: user.id, email });
       } catch (createError) {
-        console.error('Error creating user in Supabase:', createError);
-        return res.json({
-          has_access: false,
-          plan: null,
-          status: null,
-          current_period_end: null,
-          message: 'User not found and could not be created'
-        });
+        logger.error('Error creating user in Supabase', { error: createError });
       }
     }
 
-    const now = new Date();
-    const periodEnd = user.current_period_end ? new Date(user.current_period_end) : null;
+    if (!user) {
+      return res.json({
+        has_access: false,
+        access_reason: 'user_not_found',
+        grace_until: null,
+        credits: 0,
+        lifetime_plan: null,
+        plan: null,
+        status: null,
+        current_period_end: null,
+        features: [],
+        quotas: {},
+        access_source: null,
+        organization: null,
+        user_found: false,
+        user_created: false
+      });
+    }
 
-    // Check if subscription is active
-    // We check if status is active OR if they are in a trial/grace period that hasn't expired
-    const hasAccess = (user.status === 'active' || user.status === 'trialing') && periodEnd && periodEnd > now;
+    if (organizationAccess) {
+      await acceptMembership(organizationAccess.membership, user);
+    }
+
+    // Plan, status and quotas come from whichever subscription grants access
+    const billingUser = organizationAccess ? memberBillingView(user, organizationAccess.owner) : user;
+    const periodEnd = billingUser.current_period_end ? new Date(billingUser.current_period_end) : null;
+
+    // Active or trialing within the period, unpaid but still within the grace period, or a lifetime purchase
+    const access = organizationAccess ? organizationAccess.access : evaluateAccess(user, now);
+    const plan = getPlan(access.reason === 'lifetime' ? user.lifetime_plan : billingUser.plan);
+    const entitlements = await getEntitlements(billingUser, now);
+
+    // Otherwise, remaining credits grant access
+    const credits = await getCreditBalance(user.id);
+    const hasCreditAccess = !access.hasAccess && credits > 0;
 
     res.json({
-      has_access: hasAccess,
-      plan: user.plan || null,
-      status: user.status || null,
+      has_access: access.hasAccess || hasCreditAccess,
+      access_reason: hasCreditAccess ? 'credits' : access.reason,
+      grace_until: access.graceUntil,
+      credits,
+      lifetime_plan: user.lifetime_plan || null,
+      plan: plan ? plan.key : billingUser.plan || null,
+      plan_name: plan ? plan.name : null,
+      plan_interval: access.reason === 'lifetime' ? null : billingUser.plan_interval || null,
+      features: entitlements.features,
+      quotas: entitlements.quotas,
+      status: billingUser.status || null,
       current_period_end: periodEnd ? periodEnd.toISOString() : null,
+      trial_end: billingUser.trial_end || null,
+      cancel_at_period_end: Boolean(billingUser.cancel_at_period_end),
+      cancel_at: billingUser.cancel_at || null,
+      paused: Boolean(billingUser.pause_behavior),
+      pause_resumes_at: billingUser.pause_resumes_at || null,
+      latest_invoice: user.latest_invoice_id ? {
+        id: user.latest_invoice_id,
+        status: user.latest_invoice_status || null,
+        hosted_invoice_url: user.latest_invoice_url || null,
+        amount_due: user.latest_invoice_amount_due ?? null,
+        currency: user.latest_invoice_currency || null
+      } : null,
+      access_source: organizationAccess ? 'organization' : (access.hasAccess || hasCreditAccess ? 'user' : null),
+      organization: organizationAccess ? {
+        id: organizationAccess.organization.id,
+        name: organizationAccess.organization.name
+      } : null,
+      user_found: true,
       user_created: userCreated
     });
 
   } catch (error) {
-    console.error('Error checking access:', error);
+    logger.error('Error checking access', { error });
     res.status(500).json({ error: 'Failed to check access' });
   }
 });
 
 // Get user details
-router.get('/user/:email', authenticateApiKey, async (req, res) => {
+route(router, {
+  method: 'get',
+  path: '/user/:email',
+  operationId: 'getUser',
+  summary: 'Get detailed user information',
+  scope: 'access:read',
+  identity: 'params',
+  params: {
+    type: 'object',
+    properties: {
+      email: { type: 'string', format: 'email', description: 'User email address' }
+    }
+  },
+  responses: {
+    200: { description: 'User details', schema: UserResponse },
+    404: { description: 'User not found' }
+  }
+}, async (req, res) => {
   try {
-    const { email } = req.params;
+    const { email } = req.identity;
 
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .ilike('email', email)
-      .single();
+    const user = await findUserByEmail(email);
 
-    if (error || !user) {
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
@@ -101,7 +273,7 @@ router.get('/user/:email', authenticateApiKey, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error fetching user:', error);
+    logger.error('Error fetching user', { error });
     res.status(500).json({ error: 'Failed to fetch user' });
   }
 });
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const { route } = require('../lib/openapi');
+const { createCode, verifyCode } = require('../lib/authCodes');
+const { issueSessionToken } = require('../lib/sessions');
+const { sendMail } = require('../lib/mailer');
+const logger = require('../lib/logger');
+
+// Send a one-time verification code to the user's email
+route(router, {
+  method: 'post',
+  path: '/start',
+  operationId: 'startEmailVerification',
+  summary: 'Email the user a one-time verification code',
+  description: 'Ask the user for the 6-digit code from their inbox, then call verifyEmailCode.',
+  scope: 'access:read',
+  body: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'User email address' }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Code sent',
+      schema: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          expires_in_minutes: { type: 'integer' }
+        }
+      }
+    },
+    429: { description: 'A code was sent too recently' }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const result = await createCode(email);
+    if (result.error) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({ error: result.error, retry_after: result.retryAfter });
+    }
+
+    await sendMail({
+      to: email,
+      subject: 'Your verification code',
+      text: `Your verification code is ${result.code}. It expires in ${result.expiresInMinutes} minutes.`
+    });
+
+    res.json({
+      message: 'Verification code sent',
+      expires_in_minutes: result.expiresInMinutes
+    });
+
+  } catch (error) {
+    logger.error('Error starting email verification', { error });
+    res.status(500).json({ error: 'Failed to send verification code' });
+  }
+});
+
+// Exchange a one-time code for a short-lived session token
+route(router, {
+  method: 'post',
+  path: '/verify',
+  operationId: 'verifyEmailCode',
+  summary: 'Verify the emailed code and get a session token',
+  description: 'Pass the returned session_token to checkAccess and the billing operations.',
+  scope: 'access:read',
+  body: {
+    type: 'object',
+    required: ['email', 'code'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'User email address' },
+      code: { type: 'string', pattern: '^\\s*\\d{6}\\s*$', description: 'The 6-digit code from the email' }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Email verified',
+      schema: {
+        type: 'object',
+        properties: {
+          session_token: { type: 'string' },
+          expires_at: { type: 'string', format: 'date-time' }
+        }
+      }
+    },
+    401: { description: 'Invalid or expired code' }
+  }
+}, async (req, res) => {
+  try {
+    const { email, code } = req.body;
+
+    const result = await verifyCode(email, code);
+    if (!result.valid) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    const { token, expires_at: expiresAt } = issueSessionToken(email);
+
+    res.json({
+      session_token: token,
+      expires_at: expiresAt
+    });
+
+  } catch (error) {
+    logger.error('Error verifying email code', { error });
+    res.status(500).json({ error: 'Failed to verify code' });
+  }
+});
+
+module.exports = router;
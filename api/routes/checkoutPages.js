@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const { confirmCheckoutSession } = require('./stripe');
+const { SYSTEM_ACTOR } = require('../lib/audit');
+const { escapeHtml, renderPage } = require('../lib/html');
+const { toIsoDate } = require('../lib/subscriptions');
+const { DEFAULT_TENANT_ID, getTenant } = require('../lib/tenants');
+const { runWithTenant } = require('../lib/tenantContext');
+const logger = require('../lib/logger');
+
+// Landing pages Stripe Checkout returns the user to (see returnUrls in lib/checkout.js).
+// They are shown in the user's browser, so they are plain HTML routes outside the API.
+
+const SUCCESS_ACTOR = { ...SYSTEM_ACTOR, label: 'checkout:success' };
+
+const RETURN_LINK = '<p><a href="https://chatgpt.com/">Return to ChatGPT</a></p>';
+
+function renderMessage(res, status, title, message) {
+  res.status(status).type('html').send(renderPage({
+    title,
+    body: `<p>${escapeHtml(message)}</p>\n    ${RETURN_LINK}`
+  }));
+}
+
+function formatDate(unixSeconds) {
+  return toIsoDate(unixSeconds).slice(0, 10);
+}
+
+// Verifies the session and saves the subscription or purchase without waiting for the webhook
+router.get('/success', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  const sessionId = typeof req.query.session_id === 'string' ? req.query.session_id : '';
+  if (!sessionId) {
+    return renderMessage(res, 400, 'Checkout', 'This link is missing its checkout session. Ask ChatGPT for a new payment link.');
+  }
+
+  try {
+    // The session lives in the Stripe account of the tenant named in the link (see returnUrls)
+    const tenant = await getTenant(typeof req.query.tenant === 'string' ? req.query.tenant : DEFAULT_TENANT_ID);
+    const checkout = tenant
+      ? await runWithTenant(tenant, () => confirmCheckoutSession(sessionId, { actor: SUCCESS_ACTOR }))
+      : null;
+
+    if (!checkout) {
+      return renderMessage(res, 404, 'Checkout', 'We could not find this checkout session. Ask ChatGPT for a new payment link.');
+    }
+
+    const { session, confirmed, subscription } = checkout;
+
+    if (confirmed && session.mode === 'payment') {
+      return renderMessage(res, 200, 'Purchase complete', 'Thanks! Your purchase is complete. You can close this tab and return to ChatGPT.');
+    }
+
+    if (confirmed) {
+      const trial = subscription && subscription.status === 'trialing' && subscription.trial_end
+        ? ` Your free trial runs until ${formatDate(subscription.trial_end)}.`
+        : '';
+      return renderMessage(res, 200, 'You\'re subscribed', `Thanks! Your subscription is active.${trial} You can close this tab and return to ChatGPT.`);
+    }
+
+    if (session.status === 'expired') {
+      return renderMessage(res, 200, 'Checkout expired', 'This checkout link has expired. Ask ChatGPT for a new payment link.');
+    }
+
+    if (session.status === 'complete') {
+      return renderMessage(res, 200, 'Payment processing', 'Your payment is still being processed. You will get access as soon as it clears.');
+    }
+
+    renderMessage(res, 200, 'Checkout not finished', 'Your payment has not been completed yet. Return to the checkout page to finish.');
+
+  } catch (error) {
+    logger.error('Error verifying Checkout session', { error });
+    renderMessage(res, 500, 'Checkout', 'Something went wrong while confirming your payment. If you paid, access will be granted shortly.');
+  }
+});
+
+router.get('/cancel', (req, res) => {
+  renderMessage(res, 200, 'Checkout canceled', 'No payment was taken. Ask ChatGPT for a new payment link whenever you are ready.');
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const { route } = require('../lib/openapi');
+const { findUserByEmail } = require('../lib/users');
+const { getCreditSummary } = require('../lib/credits');
+const logger = require('../lib/logger');
+
+// Credit balance and recent ledger entries from one-time purchases
+route(router, {
+  method: 'get',
+  path: '/',
+  operationId: 'getCredits',
+  summary: 'Get the user\'s credit balance and recent credit activity',
+  description: 'Credits come from credit packs bought with createCheckoutSession (mode=payment) '
+    + 'and pay for usage beyond the plan.',
+  scope: 'access:read',
+  identity: 'query',
+  query: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'User email address' },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Ledger entries to return' }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Credit balance and ledger',
+      schema: {
+        type: 'object',
+        properties: {
+          balance: { type: 'integer' },
+          lifetime_plan: { type: ['string', 'null'], description: 'Plan granted for good by a lifetime purchase' },
+          entries: {
+            type: 'array',
+            description: 'Newest first',
+            items: {
+              type: 'object',
+              properties: {
+                kind: { type: 'string', enum: ['grant', 'consume', 'refund'] },
+                credits: { type: 'integer', description: 'Positive for grants, negative for usage and refunds' },
+                product: { type: ['string', 'null'] },
+                metric: { type: ['string', 'null'] },
+                created_at: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        }
+      }
+    },
+    404: { description: 'User not found' }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
+
+    const user = await findUserByEmail(email);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(await getCreditSummary(user, { limit: req.query.limit }));
+
+  } catch (error) {
+    logger.error('Error fetching credits', { error });
+    res.status(500).json({ error: 'Failed to fetch credits' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateCron } = require('../middleware/auth');
+const { SYSTEM_ACTOR } = require('../lib/audit');
+const { reconcileScheduled } = require('../lib/reconcile');
+const { runDunning } = require('../lib/dunning');
+const { listTenants } = require('../lib/tenants');
+const { runWithTenant } = require('../lib/tenantContext');
+const logger = require('../lib/logger');
+
+// Scheduled jobs invoked by Vercel Cron (see "crons" in vercel.json). They authenticate with
+// CRON_SECRET rather than an API key, so they are plain routes and stay out of the OpenAPI spec.
+router.use(authenticateCron);
+
+const CRON_ACTOR = { ...SYSTEM_ACTOR, label: 'cron:reconcile' };
+
+// Runs a job once per tenant, against that tenant's users and Stripe account. A failing tenant
+// is reported in its entry and does not stop the others. Returns { tenants: [{ tenant, ... }] }.
+async function forEachTenant(job, label) {
+  const results = [];
+
+  for (const tenant of await listTenants()) {
+    try {
+      const summary = await runWithTenant(tenant, job);
+      results.push({ tenant: tenant.id, ...summary });
+    } catch (error) {
+      logger.error('Scheduled job failed for tenant', { error, job: label, tenant_id: tenant.id });
+      results.push({ tenant: tenant.id, error: error.message || String(error) });
+    }
+  }
+
+  return { tenants: results };
+}
+
+// Nightly Stripe reconciliation, continuing where the previous night stopped; fixes drift
+// unless RECONCILE_DRY_RUN=true
+router.get('/reconcile', async (req, res) => {
+  try {
+    const summary = await forEachTenant(() => reconcileScheduled({
+      dryRun: process.env.RECONCILE_DRY_RUN === 'true',
+      actor: CRON_ACTOR
+    }), 'Stripe reconciliation');
+
+    res.json(summary);
+
+  } catch (error) {
+    logger.error('Scheduled Stripe reconciliation failed', { error });
+    res.status(500).json({ error: 'Failed to reconcile with Stripe' });
+  }
+});
+
+// Daily dunning reminders for unpaid invoices (schedule set by DUNNING_REMINDER_DAYS)
+router.get('/dunning', async (req, res) => {
+  try {
+    const summary = await forEachTenant(() => runDunning(), 'dunning run');
+    res.json(summary);
+  } catch (error) {
+    logger.error('Scheduled dunning run failed', { error });
+    res.status(500).json({ error: 'Failed to send dunning reminders' });
+  }
+});
+
+module.exports = router;
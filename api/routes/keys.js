@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const { route } = require('../lib/openapi');
+const { SCOPES, isValidScope, hasScope, createApiKey, listApiKeys, revokeApiKey } = require('../lib/apiKeys');
+const { DEFAULT_TENANT_ID, getTenant } = require('../lib/tenants');
+const { runWithTenant } = require('../lib/tenantContext');
+const logger = require('../lib/logger');
+
+// Mint a new API key (plaintext key is only returned once)
+// Key management is admin-only, so it is left out of the GPT Action spec
+route(router, {
+  method: 'post',
+  path: '/',
+  operationId: 'createApiKey',
+  summary: 'Mint an API key',
+  scope: 'keys:admin',
+  hidden: true,
+  body: {
+    type: 'object',
+    required: ['label', 'scopes'],
+    properties: {
+      label: { type: 'string', minLength: 1 },
+      owner: { type: 'string' },
+      tenant_id: {
+        type: 'string',
+        description: 'Tenant the key belongs to (default: the calling key\'s tenant). Only default-tenant keys may set another tenant.'
+      },
+      scopes: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'string' },
+        description: `Any of: *, ${SCOPES.join(', ')}, or a resource wildcard like users:*`
+      }
+    }
+  }
+}, async (req, res) => {
+  try {
+    const { label, owner, scopes, tenant_id: tenantId } = req.body;
+
+    const invalidScopes = scopes.filter(scope => !isValidScope(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({ error: `Invalid scopes: ${invalidScopes.join(', ')}` });
+    }
+
+    // A key can only mint keys with scopes it holds itself (so keys:admin alone cannot grant *,
+    // tenants:admin or identity:assert)
+    const ungrantedScopes = scopes.filter(scope => !hasScope(req.apiKey.scopes, scope));
+    if (ungrantedScopes.length > 0) {
+      return res.status(403).json({ error: `Cannot grant scopes this key does not hold: ${ungrantedScopes.join(', ')}` });
+    }
+
+    let tenant = req.tenant;
+    if (tenantId && tenantId !== req.tenant.id) {
+      if (req.tenant.id !== DEFAULT_TENANT_ID) {
+        return res.status(403).json({ error: 'Only keys of the default tenant can mint keys for other tenants' });
+      }
+
+      tenant = await getTenant(tenantId);
+      if (!tenant) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+    }
+
+    const { key, record } = await runWithTenant(tenant, () => createApiKey({ label, owner, scopes }));
+
+    res.status(201).json({
+      key,
+      api_key: record,
+      message: 'Store this key now; it cannot be retrieved again'
+    });
+
+  } catch (error) {
+    logger.error('Error creating API key', { error });
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// List API keys
+route(router, {
+  method: 'get',
+  path: '/',
+  operationId: 'listApiKeys',
+  summary: 'List API keys',
+  scope: 'keys:admin',
+  hidden: true,
+  query: {
+    type: 'object',
+    properties: {
+      include_revoked: { type: 'boolean', default: false }
+    }
+  }
+}, async (req, res) => {
+  try {
+    const keys = await listApiKeys({ includeRevoked: req.query.include_revoked });
+
+    res.json({ api_keys: keys });
+
+  } catch (error) {
+    logger.error('Error listing API keys', { error });
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// Revoke an API key
+route(router, {
+  method: 'delete',
+  path: '/:id',
+  operationId: 'revokeApiKey',
+  summary: 'Revoke an API key',
+  scope: 'keys:admin',
+  hidden: true
+}, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.apiKey && req.apiKey.id === id) {
+      return res.status(400).json({ error: 'An API key cannot revoke itself' });
+    }
+
+    const revoked = await revokeApiKey(id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+
+    res.json({ message: 'API key revoked successfully', api_key: revoked });
+
+  } catch (error) {
+    logger.error('Error revoking API key', { error });
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
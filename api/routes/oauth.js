@@ -0,0 +1,265 @@
+const express = require('express');
+const router = express.Router();
+const { isEmail } = require('../lib/validation');
+const { createCode, verifyCode } = require('../lib/authCodes');
+const { sendMail } = require('../lib/mailer');
+const { escapeHtml, hiddenFields, renderPage } = require('../lib/html');
+const {
+  findClient,
+  authenticateClient,
+  isAllowedRedirect,
+  grantScopes,
+  createAuthorizationCode,
+  exchangeAuthorizationCode,
+  exchangeRefreshToken
+} = require('../lib/oauth');
+const logger = require('../lib/logger');
+
+// These endpoints speak OAuth 2.0 (RFC 6749) rather than the JSON API conventions,
+// so they are plain routes and stay out of the OpenAPI spec.
+
+// Authorization request parameters carried through the sign-in forms
+const AUTHORIZE_PARAMS = ['response_type', 'client_id', 'redirect_uri', 'state', 'scope', 'code_challenge', 'code_challenge_method'];
+
+function pickAuthorizeParams(source) {
+  return AUTHORIZE_PARAMS.reduce((params, name) => {
+    if (typeof source[name] === 'string') params[name] = source[name];
+    return params;
+  }, {});
+}
+
+function redirectWith(res, redirectUri, values) {
+  const url = new URL(redirectUri);
+  Object.entries(values).forEach(([name, value]) => {
+    if (value) url.searchParams.set(name, value);
+  });
+  res.redirect(302, url.toString());
+}
+
+function renderError(res, status, message) {
+  res.status(status).type('html').send(renderPage({
+    title: 'Sign-in error',
+    body: `<p class="error">${escapeHtml(message)}</p>`
+  }));
+}
+
+/**
+ * Validates an authorization request. Errors about the client or redirect URI are shown
+ * to the user; everything else is reported back to the client's redirect URI.
+ */
+async function checkAuthorizeRequest(params, res) {
+  const client = await findClient(params.client_id);
+  if (!client) {
+    renderError(res, 400, 'Unknown application (client_id).');
+    return null;
+  }
+
+  if (!isAllowedRedirect(client, params.redirect_uri)) {
+    renderError(res, 400, 'This redirect_uri is not registered for the application.');
+    return null;
+  }
+
+  if (params.response_type !== 'code') {
+    redirectWith(res, params.redirect_uri, { error: 'unsupported_response_type', state: params.state });
+    return null;
+  }
+
+  if (params.code_challenge_method && !['plain', 'S256'].includes(params.code_challenge_method)) {
+    redirectWith(res, params.redirect_uri, {
+      error: 'invalid_request',
+      error_description: 'Unsupported code_challenge_method',
+      state: params.state
+    });
+    return null;
+  }
+
+  const scopes = grantScopes(client, params.scope);
+  if (!scopes) {
+    redirectWith(res, params.redirect_uri, { error: 'invalid_scope', state: params.state });
+    return null;
+  }
+
+  return { client, scopes };
+}
+
+function renderEmailStep(res, client, params, { error, email } = {}) {
+  res.type('html').send(renderPage({
+    title: `Sign in to ${client.name}`,
+    body: `
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <p>Enter the email you subscribed with. We'll send you a one-time code.</p>
+    <form method="post" action="authorize">
+      ${hiddenFields({ ...params, step: 'email' })}
+      <label for="email">Email</label>
+      <input id="email" type="email" name="email" value="${escapeHtml(email)}" required autofocus>
+      <button type="submit">Send code</button>
+    </form>`
+  }));
+}
+
+function renderCodeStep(res, client, params, { email, error, notice }) {
+  res.type('html').send(renderPage({
+    title: `Authorize ${client.name}`,
+    body: `
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    ${notice ? `<p class="muted">${escapeHtml(notice)}</p>` : ''}
+    <p><strong>${escapeHtml(client.name)}</strong> wants to check your subscription and manage billing
+    for <strong>${escapeHtml(email)}</strong>.</p>
+    <form method="post" action="authorize">
+      ${hiddenFields({ ...params, email, step: 'code' })}
+      <label for="code">Code from your email</label>
+      <input id="code" type="text" name="code" inputmode="numeric" autocomplete="one-time-code" pattern="\\d{6}" required autofocus>
+      <button type="submit" name="decision" value="allow">Allow</button>
+      <button type="submit" name="decision" value="deny" class="secondary" formnovalidate>Deny</button>
+    </form>`
+  }));
+}
+
+// Sign-in page: the user enters their email
+router.get('/authorize', async (req, res) => {
+  try {
+    const params = pickAuthorizeParams(req.query);
+    const checked = await checkAuthorizeRequest(params, res);
+    if (!checked) return;
+
+    renderEmailStep(res, checked.client, params);
+
+  } catch (error) {
+    logger.error('Error rendering OAuth authorize page', { error });
+    renderError(res, 500, 'Something went wrong. Please try again.');
+  }
+});
+
+// Sign-in form posts: send the emailed code, then verify it and redirect back with an authorization code
+router.post('/authorize', async (req, res) => {
+  try {
+    const params = pickAuthorizeParams(req.body);
+    const checked = await checkAuthorizeRequest(params, res);
+    if (!checked) return;
+
+    const { client, scopes } = checked;
+    const { step, decision, code } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+
+    if (decision === 'deny') {
+      return redirectWith(res, params.redirect_uri, { error: 'access_denied', state: params.state });
+    }
+
+    if (!isEmail(email)) {
+      return renderEmailStep(res, client, params, { error: 'Enter a valid email address.', email });
+    }
+
+    if (step === 'email') {
+      const result = await createCode(email);
+
+      if (result.error) {
+        // A code is already on its way; let the user enter it
+        return renderCodeStep(res, client, params, {
+          email,
+          notice: `A code was sent recently. Use it, or go back and retry in ${result.retryAfter} seconds.`
+        });
+      }
+
+      await sendMail({
+        to: email,
+        subject: `Your ${client.name} sign-in code`,
+        text: `Your sign-in code is ${result.code}. It expires in ${result.expiresInMinutes} minutes.`
+      });
+
+      return renderCodeStep(res, client, params, { email });
+    }
+
+    const result = await verifyCode(email, code);
+    if (!result.valid) {
+      return renderCodeStep(res, client, params, { email, error: result.error });
+    }
+
+    const authorizationCode = await createAuthorizationCode({
+      client,
+      email,
+      redirectUri: params.redirect_uri,
+      scopes,
+      codeChallenge: params.code_challenge,
+      codeChallengeMethod: params.code_challenge_method
+    });
+
+    logger.info('OAuth authorization granted', { client_id: client.id, email });
+
+    redirectWith(res, params.redirect_uri, { code: authorizationCode, state: params.state });
+
+  } catch (error) {
+    logger.error('Error handling OAuth authorize form', { error });
+    renderError(res, 500, 'Something went wrong. Please try again.');
+  }
+});
+
+// Client credentials from HTTP Basic auth or the form body (client_secret_basic / client_secret_post)
+function readClientCredentials(req) {
+  const authHeader = req.headers['authorization'];
+
+  if (typeof authHeader === 'string' && authHeader.toLowerCase().startsWith('basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6).trim(), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator !== -1) {
+      try {
+        return {
+          clientId: decodeURIComponent(decoded.slice(0, separator)),
+          clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+          basic: true
+        };
+      } catch (error) {
+        // Malformed percent-encoding: treat as failed client authentication
+        return { clientId: null, clientSecret: null, basic: true };
+      }
+    }
+  }
+
+  return { clientId: req.body.client_id, clientSecret: req.body.client_secret, basic: false };
+}
+
+function tokenError(res, status, error, description) {
+  res.status(status).json({ error, ...(description && { error_description: description }) });
+}
+
+// Token endpoint: authorization_code and refresh_token grants
+router.post('/token', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.set('Pragma', 'no-cache');
+
+  try {
+    const { clientId, clientSecret, basic } = readClientCredentials(req);
+
+    const client = await authenticateClient(clientId, clientSecret);
+    if (!client) {
+      if (basic) res.set('WWW-Authenticate', 'Basic realm="oauth"');
+      return tokenError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+
+    const { grant_type: grantType } = req.body;
+    let result;
+
+    if (grantType === 'authorization_code') {
+      result = await exchangeAuthorizationCode(client, {
+        code: req.body.code,
+        redirectUri: req.body.redirect_uri,
+        codeVerifier: req.body.code_verifier
+      });
+    } else if (grantType === 'refresh_token') {
+      result = await exchangeRefreshToken(client, { refreshToken: req.body.refresh_token });
+    } else {
+      return tokenError(res, 400, 'unsupported_grant_type', `Unsupported grant_type: ${grantType}`);
+    }
+
+    if (result.error) {
+      return tokenError(res, 400, result.error, result.description);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    logger.error('Error issuing OAuth token', { error });
+    tokenError(res, 500, 'server_error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const { route } = require('../lib/openapi');
+const { SCOPES, isValidScope } = require('../lib/apiKeys');
+const { createClient, listClients, revokeClient } = require('../lib/oauth');
+const logger = require('../lib/logger');
+
+// Register an OAuth client, e.g. one per GPT (secret is only returned once)
+// Client management is admin-only, so it is left out of the GPT Action spec
+route(router, {
+  method: 'post',
+  path: '/',
+  operationId: 'createOAuthClient',
+  summary: 'Register an OAuth client',
+  scope: 'keys:admin',
+  hidden: true,
+  body: {
+    type: 'object',
+    required: ['name', 'redirect_uris', 'scopes'],
+    properties: {
+      name: { type: 'string', minLength: 1, description: 'Shown to users on the consent page' },
+      redirect_uris: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'string', pattern: '^https?://' },
+        description: 'Exact callback URLs, e.g. https://chat.openai.com/aip/g-XXXX/oauth/callback'
+      },
+      scopes: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'string' },
+        description: `Scopes tokens may carry: ${SCOPES.filter(scope => !['identity:assert', 'tenants:admin'].includes(scope)).join(', ')}`
+      }
+    }
+  }
+}, async (req, res) => {
+  try {
+    const { name, redirect_uris: redirectUris, scopes } = req.body;
+
+    const invalidScopes = scopes.filter(scope => !isValidScope(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({ error: `Invalid scopes: ${invalidScopes.join(', ')}` });
+    }
+
+    const { clientSecret, client } = await createClient({ name, redirectUris, scopes });
+
+    res.status(201).json({
+      client_id: client.client_id,
+      client_secret: clientSecret,
+      oauth_client: client,
+      message: 'Store the client secret now; it cannot be retrieved again'
+    });
+
+  } catch (error) {
+    logger.error('Error creating OAuth client', { error });
+    res.status(500).json({ error: 'Failed to create OAuth client' });
+  }
+});
+
+// List OAuth clients
+route(router, {
+  method: 'get',
+  path: '/',
+  operationId: 'listOAuthClients',
+  summary: 'List OAuth clients',
+  scope: 'keys:admin',
+  hidden: true,
+  query: {
+    type: 'object',
+    properties: {
+      include_revoked: { type: 'boolean', default: false }
+    }
+  }
+}, async (req, res) => {
+  try {
+    const clients = await listClients({ includeRevoked: req.query.include_revoked });
+
+    res.json({ oauth_clients: clients });
+
+  } catch (error) {
+    logger.error('Error listing OAuth clients', { error });
+    res.status(500).json({ error: 'Failed to list OAuth clients' });
+  }
+});
+
+// Revoke an OAuth client and all of its tokens
+route(router, {
+  method: 'delete',
+  path: '/:id',
+  operationId: 'revokeOAuthClient',
+  summary: 'Revoke an OAuth client',
+  scope: 'keys:admin',
+  hidden: true
+}, async (req, res) => {
+  try {
+    const revoked = await revokeClient(req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'OAuth client not found or already revoked' });
+    }
+
+    res.json({ message: 'OAuth client revoked successfully', oauth_client: revoked });
+
+  } catch (error) {
+    logger.error('Error revoking OAuth client', { error });
+    res.status(500).json({ error: 'Failed to revoke OAuth client' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,286 @@
+const express = require('express');
+const router = express.Router();
+const { route } = require('../lib/openapi');
+const { findUserByEmail } = require('../lib/users');
+const {
+  ROLES,
+  findOwnedOrganization,
+  listMembers,
+  listMemberships,
+  createOrganization,
+  inviteMember,
+  removeMember
+} = require('../lib/organizations');
+const { sendMail } = require('../lib/mailer');
+const { requestActor } = require('../lib/audit');
+const logger = require('../lib/logger');
+
+const Member = {
+  type: 'object',
+  properties: {
+    email: { type: 'string' },
+    role: { type: 'string', enum: ROLES },
+    status: { type: 'string', enum: ['invited', 'active'], description: 'invited until the member first checks access' },
+    invited_at: { type: 'string', format: 'date-time' },
+    joined_at: { type: ['string', 'null'], format: 'date-time' }
+  }
+};
+
+const Organization = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    role: { type: 'string', enum: ROLES, description: 'The user\'s role in the organization' },
+    seats: { type: 'integer', description: 'Seats billed on the owner\'s subscription (one per member)' },
+    members: {
+      type: ['array', 'null'],
+      items: Member,
+      description: 'Only listed for the owner'
+    }
+  }
+};
+
+function memberSummary(member) {
+  return {
+    email: member.email,
+    role: member.role,
+    status: member.status,
+    invited_at: member.invited_at,
+    joined_at: member.joined_at || null
+  };
+}
+
+async function organizationSummary(organization, role) {
+  return {
+    id: organization.id,
+    name: organization.name,
+    role,
+    seats: organization.seats,
+    members: role === 'owner' ? (await listMembers(organization.id)).map(memberSummary) : null
+  };
+}
+
+// The organization owned by the identified user, or a 404/403 response
+async function requireOwnedOrganization(email, res) {
+  const user = await findUserByEmail(email);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+
+  const organization = await findOwnedOrganization(user.id);
+  if (!organization) {
+    res.status(403).json({ error: 'Only the organization owner can manage members' });
+    return null;
+  }
+
+  return { user, organization };
+}
+
+// Create an organization paid for by the user's subscription
+route(router, {
+  method: 'post',
+  path: '/',
+  operationId: 'createOrganization',
+  summary: 'Create an organization owned by the user',
+  description: 'The owner\'s subscription covers every member, billed per seat. '
+    + 'Create the organization before or after subscribing; the seat count follows the member list.',
+  scope: 'billing:write',
+  identity: 'body',
+  body: {
+    type: 'object',
+    required: ['email', 'name'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'Owner email address' },
+      name: { type: 'string', minLength: 1, maxLength: 100, description: 'Organization name' }
+    }
+  },
+  responses: {
+    201: { description: 'Organization created', schema: Organization },
+    404: { description: 'User not found' },
+    409: { description: 'The user already owns an organization' }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
+
+    const user = await findUserByEmail(email);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { organization, error } = await createOrganization(user, req.body.name.trim(), { actor: requestActor(req) });
+    if (error) {
+      return res.status(409).json({ error });
+    }
+
+    res.status(201).json(await organizationSummary(organization, 'owner'));
+
+  } catch (error) {
+    logger.error('Error creating organization', { error });
+    res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+// Organizations the user owns or belongs to
+route(router, {
+  method: 'get',
+  path: '/',
+  operationId: 'listOrganizations',
+  summary: 'List the organizations the user owns or belongs to',
+  scope: 'access:read',
+  identity: 'query',
+  query: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'User email address' }
+    }
+  },
+  responses: {
+    200: {
+      description: 'The user\'s organizations',
+      schema: {
+        type: 'object',
+        properties: {
+          organizations: { type: 'array', items: Organization }
+        }
+      }
+    }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
+
+    const memberships = await listMemberships(email);
+    const organizations = await Promise.all(
+      memberships.map(({ organization, membership }) => organizationSummary(organization, membership.role))
+    );
+
+    res.json({ organizations });
+
+  } catch (error) {
+    logger.error('Error listing organizations', { error });
+    res.status(500).json({ error: 'Failed to list organizations' });
+  }
+});
+
+// Invite a colleague; adds a seat to the owner's subscription
+route(router, {
+  method: 'post',
+  path: '/members',
+  operationId: 'inviteOrganizationMember',
+  summary: 'Invite a member to the user\'s organization by email',
+  description: 'Adds a seat to the owner\'s subscription (prorated) and emails the invitation. '
+    + 'The member gets access by checking access with the invited email.',
+  scope: 'billing:write',
+  identity: 'body',
+  rateLimit: { max: 30, windowMs: 60 * 60 * 1000 },
+  body: {
+    type: 'object',
+    required: ['email', 'member_email'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'Owner email address' },
+      member_email: { type: 'string', format: 'email', description: 'Email of the person to invite' }
+    }
+  },
+  responses: {
+    201: {
+      description: 'Member invited',
+      schema: {
+        type: 'object',
+        properties: {
+          member: Member,
+          seats: { type: 'integer' }
+        }
+      }
+    },
+    403: { description: 'The user does not own an organization' },
+    404: { description: 'User not found' },
+    409: { description: 'Already a member' }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
+
+    const owned = await requireOwnedOrganization(email, res);
+    if (!owned) return;
+
+    const { organization } = owned;
+    const { member, seats, error } = await inviteMember(organization, req.body.member_email, { actor: requestActor(req) });
+    if (error) {
+      return res.status(409).json({ error });
+    }
+
+    // The seat is already billed, so a failed email only gets logged
+    try {
+      await sendMail({
+        to: member.email,
+        subject: `You have been added to ${organization.name}`,
+        text: `${email} added you to ${organization.name}. Check your access with this email address to start using the subscription.`
+      });
+    } catch (mailError) {
+      logger.error('Failed to send organization invitation', { error: mailError, organization_id: organization.id });
+    }
+
+    res.status(201).json({ member: memberSummary(member), seats });
+
+  } catch (error) {
+    logger.error('Error inviting organization member', { error });
+    res.status(500).json({ error: 'Failed to invite member' });
+  }
+});
+
+// Remove a member; removes their seat from the owner's subscription
+route(router, {
+  method: 'delete',
+  path: '/members',
+  operationId: 'removeOrganizationMember',
+  summary: 'Remove a member from the user\'s organization',
+  description: 'Removes the member\'s seat from the owner\'s subscription (prorated). The owner cannot be removed.',
+  scope: 'billing:write',
+  identity: 'query',
+  query: {
+    type: 'object',
+    required: ['email', 'member_email'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'Owner email address' },
+      member_email: { type: 'string', format: 'email', description: 'Email of the member to remove' }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Member removed',
+      schema: {
+        type: 'object',
+        properties: {
+          member: Member,
+          seats: { type: 'integer' }
+        }
+      }
+    },
+    403: { description: 'The user does not own an organization' },
+    404: { description: 'User or member not found' }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
+
+    const owned = await requireOwnedOrganization(email, res);
+    if (!owned) return;
+
+    const { member, seats, error } = await removeMember(owned.organization, req.query.member_email, { actor: requestActor(req) });
+    if (error) {
+      return res.status(404).json({ error });
+    }
+
+    res.json({ member: memberSummary(member), seats });
+
+  } catch (error) {
+    logger.error('Error removing organization member', { error });
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+module.exports = router;
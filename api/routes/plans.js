@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const { route } = require('../lib/openapi');
+const { getPlans, serializePlan } = require('../lib/plans');
+const { PRODUCT_TYPES, getProducts, serializeProduct } = require('../lib/products');
+const logger = require('../lib/logger');
+
+// List purchasable plans and one-time products from the catalogs
+route(router, {
+  method: 'get',
+  path: '/',
+  operationId: 'listPlans',
+  summary: 'List available subscription plans and one-time products',
+  description: 'Use a plan key and interval from this list when starting a checkout, or a product key for a one-time purchase.',
+  scope: 'access:read',
+  responses: {
+    200: {
+      description: 'Plan catalog',
+      schema: {
+        type: 'object',
+        properties: {
+          plans: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                key: { type: 'string' },
+                name: { type: 'string' },
+                trial_days: { type: 'integer' },
+                features: { type: 'array', items: { type: 'string' } },
+                quotas: {
+                  type: 'object',
+                  additionalProperties: { type: ['integer', 'null'] },
+                  description: 'Usage allowed per billing period by metric (null is unlimited)'
+                },
+                prices: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      interval: { type: 'string', enum: ['month', 'year'] },
+                      amount: { type: 'integer', description: 'Price in the smallest currency unit' },
+                      currency: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          products: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                key: { type: 'string' },
+                name: { type: 'string' },
+                type: { type: 'string', enum: PRODUCT_TYPES },
+                credits: { type: ['integer', 'null'], description: 'Credits granted by a credit pack' },
+                lifetime_plan: { type: ['string', 'null'], description: 'Plan granted for good by lifetime access' },
+                amount: { type: ['integer', 'null'], description: 'Price in the smallest currency unit' },
+                currency: { type: ['string', 'null'] }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}, (req, res) => {
+  try {
+    res.json({ plans: getPlans().map(serializePlan), products: getProducts().map(serializeProduct) });
+  } catch (error) {
+    logger.error('Error listing plans', { error });
+    res.status(500).json({ error: 'Failed to list plans' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { route } = require('../lib/openapi');
+const { findUserByEmail } = require('../lib/users');
+const { getReferralSummary } = require('../lib/referrals');
+const logger = require('../lib/logger');
+
+// The user's referral code (created on first request) and how many people they referred
+route(router, {
+  method: 'get',
+  path: '/',
+  operationId: 'getReferrals',
+  summary: 'Get the user\'s referral code and referral stats',
+  description: 'Friends pass the code as referral_code to createCheckoutSession. '
+    + 'The referrer is rewarded when a referred friend pays their first invoice.',
+  scope: 'access:read',
+  identity: 'query',
+  query: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'User email address' }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Referral code and stats',
+      schema: {
+        type: 'object',
+        properties: {
+          referral_code: { type: 'string' },
+          referred: { type: 'integer', description: 'Users who signed up with the code' },
+          rewarded: { type: 'integer', description: 'Referrals that have earned a reward' },
+          reward: {
+            type: ['object', 'null'],
+            description: 'What each referral earns: a coupon, or a credit amount in the smallest currency unit',
+            properties: {
+              type: { type: 'string', enum: ['coupon', 'credit'] },
+              amount: { type: 'integer' },
+              currency: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    404: { description: 'User not found' }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
+
+    const user = await findUserByEmail(email);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(await getReferralSummary(user));
+
+  } catch (error) {
+    logger.error('Error fetching referrals', { error });
+    res.status(500).json({ error: 'Failed to fetch referrals' });
+  }
+});
+
+module.exports = router;
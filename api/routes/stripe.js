@@ -1,53 +1,164 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
-const Stripe = require('stripe');
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+const stripe = require('../lib/stripeClient');
 const supabase = require('../lib/supabase');
-const { authenticateApiKey } = require('../middleware/auth');
+const { route } = require('../lib/openapi');
+const {
+  SETTLED_STATUSES,
+  REPLAYABLE_STATUSES,
+  isStaleClaim,
+  recordEvent,
+  getEvent,
+  claimEvent,
+  markEvent,
+  listEvents
+} = require('../lib/stripeEvents');
+const { escapeLike, findUserByEmail, resolveStripeUser } = require('../lib/users');
+const { INTERVALS, resolvePrice, findPlanByPriceId } = require('../lib/plans');
+const { resolveProduct } = require('../lib/products');
+const {
+  mapStripeStatusToDb,
+  requiresPaidInvoice,
+  awaitsInvoicePayment,
+  planFromSubscription,
+  toIsoDate
+} = require('../lib/subscriptions');
+const { requestActor, eventActor, recordAudit, recordAuditRows } = require('../lib/audit');
+const {
+  CHECKOUT_MODES,
+  PAYMENT_MODE,
+  defaultCheckoutMode,
+  findOrCreateCustomer,
+  findLiveSubscription,
+  createInvoiceSubscription,
+  createHostedSession,
+  createPaymentSession,
+  invoicePaymentUrl
+} = require('../lib/checkout');
+const { validatePromotionCode, describeDiscount, discountedAmount } = require('../lib/promotions');
+const { recordReferral, rewardReferral } = require('../lib/referrals');
+const { seatsForOwner } = require('../lib/organizations');
+const { fulfillPurchase, refundPurchase } = require('../lib/credits');
+const { reconcile } = require('../lib/reconcile');
+const { runDunning } = require('../lib/dunning');
+const { DEFAULT_TENANT_ID, getTenant } = require('../lib/tenants');
+const { runWithTenant } = require('../lib/tenantContext');
+const logger = require('../lib/logger');
 
-function getPriceId() {
-  if (!process.env.STRIPE_PRICE_ID) {
-    throw new Error('STRIPE_PRICE_ID environment variable is not set');
+const EmailRequest = {
+  type: 'object',
+  required: ['email'],
+  properties: {
+    email: { type: 'string', format: 'email', description: 'User email address' }
   }
-  return process.env.STRIPE_PRICE_ID;
-}
+};
 
-function getDaysUntilDue() {
-  // User requested 0 days grace period (due immediately)
-  // If Stripe requires >= 1, we might need to adjust, but trying 0 as requested.
-  const parsed = parseInt(process.env.STRIPE_DAYS_UNTIL_DUE || '0', 10);
-  if (Number.isNaN(parsed)) {
-    return 0;
-  }
-  return Math.max(parsed, 0);
-}
+// Store the customer at checkout so the webhook (and the success page) can match the user
+async function rememberCustomer(req, user, customer) {
+  if (user.stripe_customer_id === customer.id) return;
 
-function normalizePlanOption(planInput = 'pro') {
-  const planMap = {
-    pro: 'Pro',
-    free: 'Free'
-  };
-  const normalized = planInput.trim().toLowerCase();
-  return planMap[normalized] || planInput;
+  const { data: updatedUsers, error } = await supabase
+    .from('users')
+    .update({ stripe_customer_id: customer.id, updated_at: new Date().toISOString() })
+    .eq('id', user.id)
+    .select();
+
+  if (error) throw error;
+  await recordAuditRows({ actor: requestActor(req), action: 'subscription.checkout', before: [user], after: updatedUsers });
 }
 
-// Create checkout session (now creates subscription directly)
-router.post('/create-checkout-session', authenticateApiKey, async (req, res) => {
-  try {
-    const { email, plan_tier, plan } = req.body;
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
+// Start a subscription (hosted Checkout link or send_invoice subscription) or a one-time purchase (see lib/checkout.js)
+route(router, {
+  method: 'post',
+  path: '/create-checkout-session',
+  operationId: 'createCheckoutSession',
+  summary: 'Start a subscription for a user',
+  description: 'Returns a payment_url to show the user: a Stripe Checkout page (mode=hosted) or the '
+    + 'invoice to pay (mode=invoice, null during a trial). Returns the existing subscription if one is active. '
+    + 'For a one-time product from GET /api/plans (credit pack or lifetime access), pass product; mode is then payment.',
+  scope: 'billing:write',
+  identity: 'body',
+  rateLimit: { max: 10, windowMs: 60 * 60 * 1000 },
+  body: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'User email address' },
+      plan: { type: 'string', description: 'Plan key from GET /api/plans', default: 'pro' },
+      plan_tier: { type: 'string', description: 'Alias of plan' },
+      interval: { type: 'string', enum: INTERVALS, default: 'month', description: 'Billing interval' },
+      mode: {
+        type: 'string',
+        enum: [...CHECKOUT_MODES, PAYMENT_MODE],
+        description: 'hosted: Stripe Checkout page; invoice: subscription paid by emailed invoice (default set by the server); '
+          + 'payment: one-time purchase of product'
+      },
+      product: { type: 'string', description: 'One-time product key from GET /api/plans (implies mode=payment)' },
+      promo_code: { type: 'string', description: 'Promotion code to apply (check it first with validatePromoCode)' },
+      referral_code: { type: 'string', description: 'Referral code from the user who referred this user' }
     }
+  },
+  responses: {
+    200: {
+      description: 'Checkout started, or the existing subscription',
+      schema: {
+        type: 'object',
+        properties: {
+          mode: { type: 'string', enum: [...CHECKOUT_MODES, PAYMENT_MODE] },
+          product: { type: ['string', 'null'], description: 'Product being bought, for mode=payment' },
+          payment_url: { type: ['string', 'null'], description: 'Link for the user to pay or subscribe' },
+          checkout_session_id: { type: ['string', 'null'] },
+          subscription_id: { type: ['string', 'null'] },
+          status: { type: ['string', 'null'] },
+          subscription_created: { type: 'boolean' },
+          collection_method: { type: ['string', 'null'] },
+          trial_end: { type: ['string', 'null'], format: 'date-time' },
+          current_period_end: { type: ['string', 'null'], format: 'date-time' },
+          customer_id: { type: 'string' },
+          discount: { type: ['object', 'null'], description: 'Discount from promo_code, if applied' }
+        }
+      }
+    },
+    400: { description: 'Unknown plan or product, or invalid promotion or referral code' }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
+    const { plan_tier, plan, interval, product: productKey, promo_code: promoCode, referral_code: referralCode } = req.body;
+    const mode = req.body.mode || (productKey ? PAYMENT_MODE : defaultCheckoutMode());
+
+    // A one-time purchase buys a product; a subscription a plan and interval
+    let catalogPlan = null;
+    let price;
+    let product = null;
+    if (mode === PAYMENT_MODE) {
+      if (!productKey) {
+        return res.status(400).json({ error: 'product is required with mode=payment' });
+      }
 
-    const selectedPlan = plan_tier || plan || 'pro';
-    const normalizedPlan = normalizePlanOption(selectedPlan);
+      const { product: catalogProduct, error: productError } = resolveProduct(productKey);
+      if (productError) {
+        return res.status(400).json({ error: productError });
+      }
+      product = catalogProduct;
+      price = catalogProduct;
+    } else {
+      const selectedPlan = plan_tier || plan || 'pro';
+      const resolved = resolvePrice(selectedPlan, interval);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      catalogPlan = resolved.plan;
+      price = resolved.price;
+    }
 
     // Ensure user exists in Supabase
     let user;
     const { data: users, error: findError } = await supabase
       .from('users')
       .select('*')
-      .ilike('email', email)
+      .ilike('email', escapeLike(email))
       .limit(1);
 
     if (findError) throw findError;
@@ -60,69 +171,84 @@ router.post('/create-checkout-session', authenticateApiKey, async (req, res) =>
         .single();
       if (createError) throw createError;
       user = newUser;
+      await recordAudit({ actor: requestActor(req), action: 'user.create', after: user });
     } else {
       user = users[0];
     }
 
-    // Get or create Stripe customer
-    let customer;
-    if (user.stripe_customer_id) {
-      try {
-        customer = await stripe.customers.retrieve(user.stripe_customer_id);
-      } catch (err) {
-        console.warn('Stored Stripe customer not found, recreating:', err.message);
+    const customer = await findOrCreateCustomer(user, email);
+    const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+
+    // An organization owner buys one seat per member
+    const quantity = mode === PAYMENT_MODE ? 1 : await seatsForOwner(user.id);
+
+    // Check the promotion code against the customer before creating the session or subscription
+    let promotionCode = null;
+    if (promoCode) {
+      const promo = await validatePromotionCode(promoCode, { price, quantity, customer: customer.id });
+      if (!promo.valid) {
+        return res.status(400).json({ error: promo.reason });
       }
+      promotionCode = promo.promotionCode;
     }
 
-    if (!customer) {
-      const customers = await stripe.customers.list({
-        email: email,
-        limit: 1
+    // Payment: Stripe Checkout for the product; the webhook or the success page grants it
+    if (mode === PAYMENT_MODE) {
+      const session = await createPaymentSession({ customer, user, email, product, baseUrl, promotionCode });
+      await rememberCustomer(req, user, customer);
+
+      return res.json({
+        mode,
+        product: product.key,
+        payment_url: session.url,
+        checkout_session_id: session.id,
+        subscription_id: null,
+        status: null,
+        subscription_created: false,
+        collection_method: null,
+        trial_end: null,
+        current_period_end: null,
+        customer_id: customer.id,
+        discount: promotionCode ? describeDiscount(promotionCode.coupon) : null
       });
+    }
 
-      if (customers.data.length > 0) {
-        customer = customers.data[0];
-      } else {
-        customer = await stripe.customers.create({
-          email,
-          metadata: {
-            source: 'gpt_paywall'
-          }
-        });
+    const activeSubscription = await findLiveSubscription(customer.id);
+
+    if (referralCode && !activeSubscription) {
+      const { error: referralError } = await recordReferral(user, referralCode);
+      if (referralError) {
+        return res.status(400).json({ error: referralError });
       }
     }
 
-    // Look for existing active/trialing subscription
-    const existingSubscriptions = await stripe.subscriptions.list({
-      customer: customer.id,
-      status: 'all',
-      limit: 10
-    });
-    const activeSubscription = existingSubscriptions.data.find(
-      sub => sub.status === 'active' || sub.status === 'trialing'
-    );
+    // Hosted: send the user to Stripe Checkout; the webhook records the subscription
+    if (mode === 'hosted' && !activeSubscription) {
+      const session = await createHostedSession({ customer, user, email, plan: catalogPlan, price, interval, baseUrl, promotionCode, quantity });
+      await rememberCustomer(req, user, customer);
+
+      return res.json({
+        mode,
+        product: null,
+        payment_url: session.url,
+        checkout_session_id: session.id,
+        subscription_id: null,
+        status: null,
+        subscription_created: false,
+        collection_method: null,
+        trial_end: null,
+        current_period_end: null,
+        customer_id: customer.id,
+        discount: promotionCode ? describeDiscount(promotionCode.coupon) : null
+      });
+    }
 
     let subscription;
     let subscriptionCreated = false;
     if (activeSubscription) {
       subscription = activeSubscription;
     } else {
-      subscription = await stripe.subscriptions.create({
-        customer: customer.id,
-        items: [
-          {
-            price: getPriceId()
-          }
-        ],
-        trial_period_days: 30,
-        collection_method: 'send_invoice',
-        days_until_due: getDaysUntilDue(),
-        metadata: {
-          email,
-          plan: normalizedPlan,
-          source: 'gpt_paywall'
-        }
-      });
+      subscription = await createInvoiceSubscription({ customer, email, plan: catalogPlan, price, interval, promotionCode, quantity });
       subscriptionCreated = true;
     }
 
@@ -131,7 +257,7 @@ router.post('/create-checkout-session', authenticateApiKey, async (req, res) =>
     let dbStatus = mapStripeStatusToDb(subscription.status);
 
     // STRICT CHECK: If active but send_invoice, check if paid
-    if (subscription.status === 'active' && subscription.collection_method === 'send_invoice') {
+    if (requiresPaidInvoice(subscription)) {
       // New subscription, likely unpaid invoice if just created
       // But if it's a trial, status is trialing.
       // If it's active, it means trial is over or didn't exist.
@@ -139,12 +265,16 @@ router.post('/create-checkout-session', authenticateApiKey, async (req, res) =>
       dbStatus = 'awaiting_payment';
     }
 
+    // An existing subscription keeps its own plan, which may differ from the one requested
+    const subscribedPlan = planFromSubscription(subscription);
+
     // Update Supabase
     const updateFields = {
       stripe_customer_id: customer.id,
       subscription_id: subscription.id,
       status: dbStatus,
-      plan: normalizedPlan,
+      plan: subscribedPlan ? subscribedPlan.plan.key : catalogPlan.key,
+      plan_interval: subscribedPlan ? subscribedPlan.interval : interval,
       updated_at: new Date().toISOString()
     };
 
@@ -152,36 +282,206 @@ router.post('/create-checkout-session', authenticateApiKey, async (req, res) =>
       updateFields.current_period_end = new Date(subscription.current_period_end * 1000).toISOString();
     }
 
-    await supabase
+    const { data: updatedUsers, error: updateError } = await supabase
       .from('users')
       .update(updateFields)
-      .eq('id', user.id);
+      .eq('id', user.id)
+      .select();
+
+    if (updateError) throw updateError;
+    await recordAuditRows({ actor: requestActor(req), action: 'subscription.checkout', before: [user], after: updatedUsers });
 
     res.json({
+      mode: activeSubscription ? (subscription.collection_method === 'send_invoice' ? 'invoice' : 'hosted') : mode,
+      product: null,
+      payment_url: await invoicePaymentUrl(subscription),
+      checkout_session_id: null,
       subscription_id: subscription.id,
       status: subscription.status,
       subscription_created: subscriptionCreated,
       collection_method: subscription.collection_method,
-      trial_end: subscription.trial_end ? new Date(subscription.trial_end * 1000).toISOString() : null,
-      current_period_end: subscription.current_period_end ? new Date(subscription.current_period_end * 1000).toISOString() : null,
-      customer_id: customer.id
+      trial_end: toIsoDate(subscription.trial_end),
+      current_period_end: toIsoDate(subscription.current_period_end),
+      customer_id: customer.id,
+      discount: subscriptionCreated && promotionCode ? describeDiscount(promotionCode.coupon) : null
     });
 
   } catch (error) {
-    console.error('Subscription creation error:', error);
+    logger.error('Subscription creation error', { error });
     res.status(500).json({ error: 'Failed to create subscription' });
   }
 });
 
-// Create customer portal session
-router.post('/create-portal-session', authenticateApiKey, async (req, res) => {
+// Poll a hosted Checkout session until the user has subscribed
+route(router, {
+  method: 'get',
+  path: '/checkout-session/:id',
+  operationId: 'getCheckoutSession',
+  summary: 'Check whether the user completed hosted Checkout',
+  description: 'Poll after sharing payment_url from createCheckoutSession. Once confirmed, the subscription or purchase is saved right away.',
+  scope: 'billing:write',
+  identity: 'query',
+  params: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'checkout_session_id from createCheckoutSession' }
+    }
+  },
+  query: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'User email address' }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Checkout session state',
+      schema: {
+        type: 'object',
+        properties: {
+          checkout_session_id: { type: 'string' },
+          status: { type: 'string', description: 'open, complete or expired' },
+          payment_status: { type: 'string', description: 'paid, unpaid or no_payment_required' },
+          confirmed: { type: 'boolean', description: 'Whether the user has subscribed, or paid for the product' },
+          product: { type: ['string', 'null'], description: 'Product bought, for one-time purchases' },
+          subscription_id: { type: ['string', 'null'] },
+          subscription_status: { type: ['string', 'null'] },
+          trial_end: { type: ['string', 'null'], format: 'date-time' },
+          current_period_end: { type: ['string', 'null'], format: 'date-time' }
+        }
+      }
+    },
+    404: { description: 'Checkout session not found for this user' }
+  }
+}, async (req, res) => {
   try {
-    const { email } = req.body;
+    const { email } = req.identity;
 
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
+    const checkout = await confirmCheckoutSession(req.params.id, { actor: requestActor(req), email });
+    if (!checkout) {
+      return res.status(404).json({ error: 'Checkout session not found' });
     }
 
+    const { session, confirmed, subscription } = checkout;
+
+    res.json({
+      checkout_session_id: session.id,
+      status: session.status,
+      payment_status: session.payment_status,
+      confirmed,
+      product: session.mode === 'payment' && session.metadata ? session.metadata.product || null : null,
+      subscription_id: subscription ? subscription.id : null,
+      subscription_status: subscription ? subscription.status : null,
+      trial_end: subscription ? toIsoDate(subscription.trial_end) : null,
+      current_period_end: subscription ? toIsoDate(subscription.current_period_end) : null
+    });
+
+  } catch (error) {
+    logger.error('Error checking Checkout session', { error });
+    res.status(500).json({ error: 'Failed to check Checkout session' });
+  }
+});
+
+// Preview a promotion code against a plan before checkout
+route(router, {
+  method: 'get',
+  path: '/validate-promo',
+  operationId: 'validatePromoCode',
+  summary: 'Check a promotion code and preview the discounted price',
+  scope: 'billing:write',
+  query: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { type: 'string', minLength: 1, description: 'Promotion code the user entered' },
+      plan: { type: 'string', description: 'Plan key from GET /api/plans', default: 'pro' },
+      interval: { type: 'string', enum: INTERVALS, default: 'month', description: 'Billing interval' }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Validation result',
+      schema: {
+        type: 'object',
+        properties: {
+          code: { type: 'string' },
+          valid: { type: 'boolean' },
+          reason: { type: ['string', 'null'], description: 'Why the code cannot be used' },
+          discount: {
+            type: ['object', 'null'],
+            properties: {
+              percent_off: { type: ['number', 'null'] },
+              amount_off: { type: ['integer', 'null'] },
+              currency: { type: ['string', 'null'] },
+              duration: { type: 'string', description: 'once, repeating or forever' },
+              duration_in_months: { type: ['integer', 'null'] }
+            }
+          },
+          plan: { type: 'string' },
+          interval: { type: 'string' },
+          amount: { type: ['integer', 'null'], description: 'Regular price per period (smallest currency unit)' },
+          discounted_amount: { type: ['integer', 'null'], description: 'Price per period while the discount applies' },
+          currency: { type: ['string', 'null'] }
+        }
+      }
+    }
+  }
+}, async (req, res) => {
+  try {
+    const { code, plan, interval } = req.query;
+
+    const { plan: catalogPlan, price, error: planError } = resolvePrice(plan, interval);
+    if (planError) {
+      return res.status(400).json({ error: planError });
+    }
+
+    const result = await validatePromotionCode(code, { price });
+    const coupon = result.valid ? result.promotionCode.coupon : null;
+
+    res.json({
+      code,
+      valid: result.valid,
+      reason: result.reason || null,
+      discount: coupon ? describeDiscount(coupon) : null,
+      plan: catalogPlan.key,
+      interval,
+      amount: price.amount ?? null,
+      discounted_amount: coupon ? discountedAmount(price.amount, coupon) : null,
+      currency: price.currency || null
+    });
+
+  } catch (error) {
+    logger.error('Error validating promotion code', { error });
+    res.status(500).json({ error: 'Failed to validate promotion code' });
+  }
+});
+
+// Create customer portal session
+route(router, {
+  method: 'post',
+  path: '/create-portal-session',
+  operationId: 'createPortalSession',
+  summary: 'Create a Stripe customer portal session',
+  scope: 'billing:write',
+  identity: 'body',
+  body: EmailRequest,
+  responses: {
+    200: {
+      description: 'Portal session created',
+      schema: {
+        type: 'object',
+        properties: {
+          portal_url: { type: 'string', description: 'URL to Stripe customer portal' }
+        }
+      }
+    },
+    404: { description: 'No subscription found for this email' }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
+
     // Get customer from Stripe
     const customers = await stripe.customers.list({
       email: email,
@@ -205,19 +505,37 @@ router.post('/create-portal-session', authenticateApiKey, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Portal session error:', error);
+    logger.error('Portal session error', { error });
     res.status(500).json({ error: 'Failed to create portal session' });
   }
 });
 
 // Resend latest open invoice
-router.post('/resend-invoice', authenticateApiKey, async (req, res) => {
+route(router, {
+  method: 'post',
+  path: '/resend-invoice',
+  operationId: 'resendInvoice',
+  summary: 'Resend the latest open invoice to the user',
+  scope: 'billing:write',
+  identity: 'body',
+  rateLimit: { max: 3, windowMs: 60 * 60 * 1000 },
+  body: EmailRequest,
+  responses: {
+    200: {
+      description: 'Invoice sent',
+      schema: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          invoice_id: { type: 'string' }
+        }
+      }
+    },
+    404: { description: 'Customer or open invoice not found' }
+  }
+}, async (req, res) => {
   try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
+    const { email } = req.identity;
 
     // Get customer from Stripe
     const customers = await stripe.customers.list({
@@ -253,135 +571,1189 @@ router.post('/resend-invoice', authenticateApiKey, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Resend invoice error:', error);
+    logger.error('Resend invoice error', { error });
     res.status(500).json({ error: 'Failed to resend invoice' });
   }
 });
 
-// Webhook handler
+const InvoiceSummary = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    number: { type: ['string', 'null'] },
+    status: { type: ['string', 'null'], description: 'open, paid, void or uncollectible' },
+    total: { type: 'integer', description: 'Smallest currency unit' },
+    amount_due: { type: 'integer' },
+    amount_paid: { type: 'integer' },
+    amount_remaining: { type: 'integer' },
+    currency: { type: 'string' },
+    created: { type: 'string', format: 'date-time' },
+    due_date: { type: ['string', 'null'], format: 'date-time' },
+    paid_at: { type: ['string', 'null'], format: 'date-time' },
+    period_start: { type: ['string', 'null'], format: 'date-time', description: 'Start of the billed service period' },
+    period_end: { type: ['string', 'null'], format: 'date-time' },
+    description: { type: ['string', 'null'] },
+    hosted_invoice_url: { type: ['string', 'null'], description: 'Stripe page to view or pay the invoice' },
+    invoice_pdf: { type: ['string', 'null'], description: 'PDF download' },
+    receipt_url: { type: ['string', 'null'], description: 'Payment receipt' }
+  }
+};
+
+// Service period billed by an invoice: its first line's period for subscription invoices
+function invoicePeriod(invoice) {
+  const line = invoice.lines && invoice.lines.data && invoice.lines.data[0];
+  const period = line && line.period ? line.period : { start: invoice.period_start, end: invoice.period_end };
+  return { period_start: toIsoDate(period.start), period_end: toIsoDate(period.end) };
+}
+
+function invoiceSummary(invoice) {
+  const line = invoice.lines && invoice.lines.data && invoice.lines.data[0];
+  const charge = invoice.charge && typeof invoice.charge === 'object' ? invoice.charge : null;
+
+  return {
+    id: invoice.id,
+    number: invoice.number || null,
+    status: invoice.status || null,
+    total: invoice.total,
+    amount_due: invoice.amount_due,
+    amount_paid: invoice.amount_paid,
+    amount_remaining: invoice.amount_remaining,
+    currency: invoice.currency,
+    created: toIsoDate(invoice.created),
+    due_date: toIsoDate(invoice.due_date),
+    paid_at: toIsoDate(invoice.status_transitions && invoice.status_transitions.paid_at),
+    ...invoicePeriod(invoice),
+    description: invoice.description || (line && line.description) || null,
+    hosted_invoice_url: invoice.hosted_invoice_url || null,
+    invoice_pdf: invoice.invoice_pdf || null,
+    receipt_url: charge ? charge.receipt_url || null : null
+  };
+}
+
+// Preview of the next invoice, or null when nothing is scheduled (e.g. canceled subscription)
+async function upcomingInvoice(customerId) {
+  try {
+    const invoice = await stripe.invoices.retrieveUpcoming({ customer: customerId });
+    return {
+      total: invoice.total,
+      amount_due: invoice.amount_due,
+      currency: invoice.currency,
+      next_payment_attempt: toIsoDate(invoice.next_payment_attempt),
+      ...invoicePeriod(invoice),
+      lines: ((invoice.lines && invoice.lines.data) || []).map(line => ({
+        description: line.description || null,
+        amount: line.amount
+      }))
+    };
+  } catch (error) {
+    if (error.code === 'invoice_upcoming_none') return null;
+    throw error;
+  }
+}
+
+// Invoice history and the upcoming invoice, so the GPT can answer "what did I pay and when?"
+route(router, {
+  method: 'get',
+  path: '/invoices',
+  operationId: 'listInvoices',
+  summary: 'List the user\'s invoices and preview the next one',
+  description: 'Newest first. Page with starting_after set to the last invoice id; the upcoming invoice is only on the first page.',
+  scope: 'billing:write',
+  identity: 'query',
+  query: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'User email address' },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+      starting_after: { type: 'string', description: 'Invoice id to continue after' }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Invoices',
+      schema: {
+        type: 'object',
+        properties: {
+          invoices: { type: 'array', items: InvoiceSummary },
+          has_more: { type: 'boolean' },
+          next_starting_after: { type: ['string', 'null'] },
+          upcoming: {
+            type: ['object', 'null'],
+            description: 'Next invoice preview (first page only)',
+            properties: {
+              total: { type: 'integer' },
+              amount_due: { type: 'integer' },
+              currency: { type: 'string' },
+              next_payment_attempt: { type: ['string', 'null'], format: 'date-time' },
+              period_start: { type: ['string', 'null'], format: 'date-time' },
+              period_end: { type: ['string', 'null'], format: 'date-time' },
+              lines: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    description: { type: ['string', 'null'] },
+                    amount: { type: 'integer' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
+    const { limit, starting_after: startingAfter } = req.query;
+
+    const user = await findUserByEmail(email);
+    if (!user || !user.stripe_customer_id) {
+      return res.json({ invoices: [], has_more: false, next_starting_after: null, upcoming: null });
+    }
+
+    const page = await stripe.invoices.list({
+      customer: user.stripe_customer_id,
+      limit,
+      expand: ['data.charge'],
+      ...(startingAfter && { starting_after: startingAfter })
+    });
+
+    // Drafts are not final and customers never see them
+    const invoices = page.data.filter(invoice => invoice.status !== 'draft').map(invoiceSummary);
+    const last = page.data[page.data.length - 1];
+
+    res.json({
+      invoices,
+      has_more: page.has_more,
+      next_starting_after: page.has_more && last ? last.id : null,
+      upcoming: startingAfter ? null : await upcomingInvoice(user.stripe_customer_id)
+    });
+
+  } catch (error) {
+    logger.error('Error listing invoices', { error });
+    res.status(500).json({ error: 'Failed to list invoices' });
+  }
+});
+
+// Switch the subscription to another plan or interval, or preview the prorated cost
+route(router, {
+  method: 'post',
+  path: '/change-plan',
+  operationId: 'changePlan',
+  summary: 'Upgrade, downgrade or switch billing interval',
+  description: 'With preview=true nothing changes and the prorated amount is returned. '
+    + 'The stored plan is updated when Stripe confirms the change via webhook.',
+  scope: 'billing:write',
+  identity: 'body',
+  body: {
+    type: 'object',
+    required: ['email', 'plan'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'User email address' },
+      plan: { type: 'string', description: 'Target plan key from GET /api/plans' },
+      interval: { type: 'string', enum: INTERVALS, default: 'month', description: 'Target billing interval' },
+      preview: { type: 'boolean', default: false, description: 'Only return the proration preview' },
+      proration_behavior: {
+        type: 'string',
+        enum: ['create_prorations', 'always_invoice', 'none'],
+        default: 'create_prorations',
+        description: 'always_invoice bills the difference immediately instead of on the next invoice'
+      }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Plan change preview or result',
+      schema: {
+        type: 'object',
+        properties: {
+          preview: { type: 'boolean' },
+          from_plan: { type: ['string', 'null'] },
+          from_interval: { type: ['string', 'null'] },
+          to_plan: { type: 'string' },
+          to_interval: { type: 'string' },
+          proration_amount: { type: 'integer', description: 'Net prorated charge (negative is a credit)' },
+          amount_due: { type: 'integer', description: 'Amount due on the next invoice' },
+          currency: { type: 'string' },
+          next_invoice_date: { type: ['string', 'null'], format: 'date-time' },
+          subscription_id: { type: 'string' },
+          status: { type: 'string' }
+        }
+      }
+    },
+    404: { description: 'No active subscription for this email' }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
+    const { plan, interval, preview, proration_behavior: prorationBehavior } = req.body;
+
+    const { plan: targetPlan, price, error: planError } = resolvePrice(plan, interval);
+    if (planError) {
+      return res.status(400).json({ error: planError });
+    }
+
+    const { user, subscription, error: lookupError, status: lookupStatus } = await loadCurrentSubscription(email);
+    if (lookupError) {
+      return res.status(lookupStatus).json({ error: lookupError });
+    }
+
+    const item = subscription.items.data[0];
+    if (item.price.id === price.price_id) {
+      return res.status(400).json({ error: `Already subscribed to ${targetPlan.key} (${interval})` });
+    }
+
+    const currentPlan = findPlanByPriceId(item.price.id);
+    const prorationDate = Math.floor(Date.now() / 1000);
+    const itemChange = [{ id: item.id, price: price.price_id }];
+
+    const upcoming = await stripe.invoices.retrieveUpcoming({
+      customer: subscription.customer,
+      subscription: subscription.id,
+      subscription_items: itemChange,
+      subscription_proration_behavior: prorationBehavior,
+      subscription_proration_date: prorationDate
+    });
+
+    const prorationAmount = upcoming.lines.data
+      .filter(line => line.proration)
+      .reduce((sum, line) => sum + line.amount, 0);
+
+    const result = {
+      preview,
+      from_plan: currentPlan ? currentPlan.plan.key : null,
+      from_interval: currentPlan ? currentPlan.interval : null,
+      to_plan: targetPlan.key,
+      to_interval: interval,
+      proration_amount: prorationAmount,
+      amount_due: upcoming.amount_due,
+      currency: upcoming.currency,
+      next_invoice_date: toIsoDate(upcoming.next_payment_attempt || upcoming.period_end),
+      subscription_id: subscription.id,
+      status: subscription.status
+    };
+
+    if (preview) {
+      return res.json(result);
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      items: itemChange,
+      proration_behavior: prorationBehavior,
+      proration_date: prorationDate,
+      metadata: {
+        ...subscription.metadata,
+        plan: targetPlan.key,
+        interval
+      }
+    }, {
+      idempotencyKey: lifecycleIdempotencyKey('change-plan', subscription, user, {
+        price: price.price_id,
+        proration_behavior: prorationBehavior
+      })
+    });
+
+    logger.info('Subscription plan changed', { subscription_id: subscription.id, plan: targetPlan.key, interval });
+
+    res.json({ ...result, status: updated.status });
+
+  } catch (error) {
+    if (isIdempotencyConflict(error)) {
+      return res.status(409).json({ error: 'A different change to this subscription is in progress; check it and try again' });
+    }
+    logger.error('Change plan error', { error });
+    res.status(500).json({ error: 'Failed to change plan' });
+  }
+});
+
+const LifecycleResponse = {
+  type: 'object',
+  properties: {
+    subscription_id: { type: 'string' },
+    status: { type: 'string' },
+    cancel_at_period_end: { type: 'boolean' },
+    cancel_at: { type: ['string', 'null'], format: 'date-time', description: 'When a pending cancellation takes effect' },
+    canceled_at: { type: ['string', 'null'], format: 'date-time' },
+    current_period_end: { type: ['string', 'null'], format: 'date-time' },
+    paused: { type: 'boolean', description: 'Whether invoice collection is paused' },
+    pause_resumes_at: { type: ['string', 'null'], format: 'date-time' }
+  }
+};
+
+// Cancel the subscription now or at the end of the current period
+route(router, {
+  method: 'post',
+  path: '/cancel',
+  operationId: 'cancelSubscription',
+  summary: 'Cancel the user\'s subscription',
+  description: 'By default access continues until the end of the paid period; resume undoes this.',
+  scope: 'billing:write',
+  identity: 'body',
+  body: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'User email address' },
+      at_period_end: { type: 'boolean', default: true, description: 'false cancels immediately' },
+      reason: { type: 'string', maxLength: 500, description: 'Why the user is cancelling' }
+    }
+  },
+  responses: {
+    200: { description: 'Subscription canceled or set to cancel', schema: LifecycleResponse },
+    404: { description: 'No subscription found for this email' }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
+    const { at_period_end: atPeriodEnd, reason } = req.body;
+
+    const { user, subscription, error: lookupError, status: lookupStatus } = await loadCurrentSubscription(email);
+    if (lookupError) {
+      return res.status(lookupStatus).json({ error: lookupError });
+    }
+
+    const cancellationDetails = reason ? { comment: reason } : undefined;
+    let updated;
+
+    const options = {
+      idempotencyKey: lifecycleIdempotencyKey('cancel', subscription, user, { at_period_end: atPeriodEnd, reason: reason || null })
+    };
+
+    if (atPeriodEnd) {
+      updated = await stripe.subscriptions.update(subscription.id, {
+        cancel_at_period_end: true,
+        ...(cancellationDetails && { cancellation_details: cancellationDetails })
+      }, options);
+    } else {
+      updated = await stripe.subscriptions.cancel(subscription.id, {
+        ...(cancellationDetails && { cancellation_details: cancellationDetails })
+      }, options);
+    }
+
+    await saveLifecycleState(user, updated, {
+      actor: requestActor(req),
+      action: 'subscription.cancel',
+      extraFields: {
+        cancellation_reason: reason || null,
+        ...(!atPeriodEnd && { status: 'canceled' })
+      }
+    });
+
+    logger.info(atPeriodEnd ? 'Subscription set to cancel at period end' : 'Subscription canceled immediately', {
+      subscription_id: subscription.id
+    });
+
+    res.json(lifecycleResponse(updated));
+
+  } catch (error) {
+    if (isIdempotencyConflict(error)) {
+      return res.status(409).json({ error: 'A different change to this subscription is in progress; check it and try again' });
+    }
+    logger.error('Cancel subscription error', { error });
+    res.status(500).json({ error: 'Failed to cancel subscription' });
+  }
+});
+
+// Undo a pending cancellation and/or resume paused collection
+route(router, {
+  method: 'post',
+  path: '/resume',
+  operationId: 'resumeSubscription',
+  summary: 'Undo a pending cancellation or pause',
+  scope: 'billing:write',
+  identity: 'body',
+  body: EmailRequest,
+  responses: {
+    200: { description: 'Subscription resumed', schema: LifecycleResponse },
+    404: { description: 'No subscription found for this email' }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
+
+    const { user, subscription, error: lookupError, status: lookupStatus } = await loadCurrentSubscription(email);
+    if (lookupError) {
+      return res.status(lookupStatus).json({ error: lookupError });
+    }
+
+    if (!subscription.cancel_at_period_end && !subscription.pause_collection) {
+      return res.status(409).json({ error: 'Subscription has no pending cancellation or pause' });
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      cancel_at_period_end: false,
+      pause_collection: ''
+    }, { idempotencyKey: lifecycleIdempotencyKey('resume', subscription, user) });
+
+    await saveLifecycleState(user, updated, {
+      actor: requestActor(req),
+      action: 'subscription.resume',
+      extraFields: { cancellation_reason: null }
+    });
+
+    logger.info('Subscription resumed', { subscription_id: subscription.id });
+
+    res.json(lifecycleResponse(updated));
+
+  } catch (error) {
+    if (isIdempotencyConflict(error)) {
+      return res.status(409).json({ error: 'A different change to this subscription is in progress; check it and try again' });
+    }
+    logger.error('Resume subscription error', { error });
+    res.status(500).json({ error: 'Failed to resume subscription' });
+  }
+});
+
+// Pause invoice collection (Stripe pause_collection)
+route(router, {
+  method: 'post',
+  path: '/pause',
+  operationId: 'pauseSubscription',
+  summary: 'Pause billing for the user\'s subscription',
+  scope: 'billing:write',
+  identity: 'body',
+  body: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'User email address' },
+      behavior: {
+        type: 'string',
+        enum: ['void', 'keep_as_draft', 'mark_uncollectible'],
+        default: 'void',
+        description: 'What Stripe does with invoices created while paused'
+      },
+      resume_at: { type: 'string', format: 'date-time', description: 'Resume automatically at this time' }
+    }
+  },
+  responses: {
+    200: { description: 'Subscription paused', schema: LifecycleResponse },
+    404: { description: 'No subscription found for this email' }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
+    const { behavior, resume_at: resumeAt } = req.body;
+
+    let resumesAt;
+    if (resumeAt) {
+      resumesAt = Math.floor(new Date(resumeAt).getTime() / 1000);
+      if (resumesAt <= Math.floor(Date.now() / 1000)) {
+        return res.status(400).json({ error: 'resume_at must be in the future' });
+      }
+    }
+
+    const { user, subscription, error: lookupError, status: lookupStatus } = await loadCurrentSubscription(email);
+    if (lookupError) {
+      return res.status(lookupStatus).json({ error: lookupError });
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      pause_collection: {
+        behavior,
+        ...(resumesAt && { resumes_at: resumesAt })
+      }
+    }, {
+      idempotencyKey: lifecycleIdempotencyKey('pause', subscription, user, { behavior, resumes_at: resumesAt || null })
+    });
+
+    await saveLifecycleState(user, updated, { actor: requestActor(req), action: 'subscription.pause' });
+
+    logger.info('Subscription paused', { subscription_id: subscription.id, behavior });
+
+    res.json(lifecycleResponse(updated));
+
+  } catch (error) {
+    if (isIdempotencyConflict(error)) {
+      return res.status(409).json({ error: 'A different change to this subscription is in progress; check it and try again' });
+    }
+    logger.error('Pause subscription error', { error });
+    res.status(500).json({ error: 'Failed to pause subscription' });
+  }
+});
+
+// Event log admin: list stored webhook events (e.g. ?status=failed)
+route(router, {
+  method: 'get',
+  path: '/events',
+  operationId: 'listStripeEvents',
+  summary: 'List recorded Stripe webhook events',
+  scope: 'billing:admin',
+  hidden: true,
+  query: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['received', 'processing', 'processed', 'ignored', 'unmatched', 'failed'] },
+      type: { type: 'string' },
+      limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 }
+    }
+  }
+}, async (req, res) => {
+  try {
+    const events = await listEvents(req.query);
+    res.json({ events });
+  } catch (error) {
+    logger.error('Error listing Stripe events', { error });
+    res.status(500).json({ error: 'Failed to list Stripe events' });
+  }
+});
+
+// Event log admin: re-run a failed (or stuck) event from its stored payload
+route(router, {
+  method: 'post',
+  path: '/events/:id/replay',
+  operationId: 'replayStripeEvent',
+  summary: 'Replay a failed Stripe webhook event',
+  scope: 'billing:admin',
+  hidden: true
+}, async (req, res) => {
+  try {
+    const record = await getEvent(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    // A recent 'processing' claim may still be running; only a stale one is taken over
+    if (!REPLAYABLE_STATUSES.includes(record.status) && !isStaleClaim(record)) {
+      return res.status(409).json({
+        error: `Event is ${record.status}, only failed or unmatched events, or events stuck processing for 5 minutes, can be replayed`
+      });
+    }
+
+    try {
+      const result = await processStripeEvent(record.payload, { replay: true });
+      if (result.status === 'processing') {
+        return res.status(409).json({ event_id: record.id, error: 'Event is already being processed' });
+      }
+      res.json({ event_id: record.id, ...result });
+    } catch (processingError) {
+      res.status(500).json({
+        event_id: record.id,
+        status: 'failed',
+        error: processingError.message
+      });
+    }
+
+  } catch (error) {
+    logger.error('Error replaying Stripe event', { error });
+    res.status(500).json({ error: 'Failed to replay event' });
+  }
+});
+
+// Reconciliation admin: compare Stripe subscriptions with the users table (dry run by default)
+route(router, {
+  method: 'post',
+  path: '/reconcile',
+  operationId: 'reconcileStripe',
+  summary: 'Reconcile user billing state with Stripe',
+  scope: 'billing:admin',
+  hidden: true,
+  body: {
+    type: 'object',
+    properties: {
+      dry_run: { type: 'boolean', default: true, description: 'Report mismatches without fixing them' },
+      limit: { type: 'integer', minimum: 1, maximum: 10000, default: 5000, description: 'Maximum subscriptions to scan' },
+      starting_after: { type: 'string', description: 'Resume from next_starting_after of a previous run' }
+    }
+  }
+}, async (req, res) => {
+  try {
+    const summary = await reconcile({
+      dryRun: req.body.dry_run,
+      maxSubscriptions: req.body.limit,
+      startingAfter: req.body.starting_after,
+      actor: requestActor(req)
+    });
+
+    res.json(summary);
+
+  } catch (error) {
+    logger.error('Error reconciling with Stripe', { error });
+    res.status(500).json({ error: 'Failed to reconcile with Stripe' });
+  }
+});
+
+// Dunning admin: preview (dry run, the default) or send the reminders due today
+route(router, {
+  method: 'post',
+  path: '/dunning',
+  operationId: 'runDunning',
+  summary: 'Send dunning reminders for unpaid invoices',
+  scope: 'billing:admin',
+  hidden: true,
+  body: {
+    type: 'object',
+    properties: {
+      dry_run: { type: 'boolean', default: true, description: 'List the reminders that are due without sending them' }
+    }
+  }
+}, async (req, res) => {
+  try {
+    const summary = await runDunning({ dryRun: req.body.dry_run });
+    res.json(summary);
+  } catch (error) {
+    logger.error('Error running dunning', { error });
+    res.status(500).json({ error: 'Failed to send dunning reminders' });
+  }
+});
+
+// Webhook handler. Each tenant's Stripe account posts to /api/stripe/webhook/:tenant, signed with
+// that tenant's secret; /api/stripe/webhook is the default tenant's endpoint.
 async function stripeWebhookHandler(req, res) {
-  console.log('Webhook received');
+
+  let tenant;
+  try {
+    tenant = await getTenant(req.params.tenant || DEFAULT_TENANT_ID);
+  } catch (error) {
+    logger.error('Error loading tenant for webhook', { error, tenant_id: req.params.tenant });
+    return res.status(500).json({ error: 'Webhook processing failed' });
+  }
+
+  if (!tenant) {
+    return res.status(404).send('Unknown tenant');
+  }
 
   const sig = req.headers['stripe-signature'];
-  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  const endpointSecret = tenant.webhookSecret;
 
   if (!sig || !endpointSecret) {
     return res.status(400).send('Missing signature or secret');
   }
 
-  let event;
+  await runWithTenant(tenant, async () => {
+    let event;
 
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
-    console.log('Webhook verified - Event type:', event.type);
-  } catch (err) {
-    console.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+    try {
+      event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+      logger.info('Webhook verified', { event_id: event.id, event_type: event.type, tenant_id: tenant.id });
+    } catch (err) {
+      logger.error('Webhook signature verification failed', { error: err.message, tenant_id: tenant.id });
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    try {
+      const result = await processStripeEvent(event);
+
+      // Another delivery is still working on it. A non-2xx keeps Stripe retrying, so the event
+      // still completes if that delivery crashed (its claim is taken over once stale).
+      if (result.status === 'processing') {
+        return res.status(409).json({ error: 'Event is already being processed' });
+      }
+
+      res.json({ received: true, ...result });
+    } catch (error) {
+      logger.error('Webhook processing error', { error, tenant_id: tenant.id });
+      // A non-2xx response makes Stripe retry; the failure is also kept in stripe_events for replay
+      res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  });
+}
+
+/**
+ * Records the event, skips duplicates, dispatches it and stores the outcome.
+ * Throws when the handler fails (after marking the event failed).
+ */
+async function processStripeEvent(event, { replay = false } = {}) {
+  const record = await recordEvent(event);
+
+  if (SETTLED_STATUSES.includes(record.status) && !replay) {
+    logger.info('Duplicate Stripe event, skipping', { event_id: event.id, status: record.status });
+    return { duplicate: true, status: record.status };
+  }
+
+  const claimed = await claimEvent(record, { replay });
+  if (!claimed) {
+    logger.info('Stripe event is already being processed, skipping', { event_id: event.id });
+    return { duplicate: true, status: 'processing' };
   }
 
   try {
-    switch (event.type) {
-      case 'checkout.session.completed':
-        await handleCheckoutComplete(event.data.object);
-        break;
+    const outcome = await dispatchStripeEvent(event);
+    const status = outcome === 'ignored' || outcome === 'unmatched' ? outcome : 'processed';
+    await markEvent(event.id, status);
+    return { duplicate: false, status };
+  } catch (error) {
+    await markEvent(event.id, 'failed', error.message || String(error));
+    throw error;
+  }
+}
 
-      case 'customer.subscription.updated':
-      case 'customer.subscription.deleted':
-        await handleSubscriptionUpdate(event.data.object);
-        break;
+// Returns 'ignored' for event types we do not handle, 'unmatched' when no user row matched
+async function dispatchStripeEvent(event) {
+  switch (event.type) {
+    case 'checkout.session.completed':
+      return handleCheckoutComplete(event.data.object, event);
 
-      case 'invoice.payment_succeeded':
-        await handleInvoicePaid(event.data.object);
-        break;
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+      return handleSubscriptionUpdate(event.data.object, event);
 
-      default:
-        console.log(`Unhandled event type ${event.type}`);
-    }
+    case 'customer.subscription.trial_will_end':
+      return handleTrialWillEnd(event.data.object, event);
 
-    res.json({ received: true });
-  } catch (error) {
-    console.error('Webhook processing error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    case 'customer.updated':
+      return handleCustomerUpdated(event.data.object, event);
+
+    case 'invoice.payment_succeeded':
+      return handleInvoicePaid(event.data.object, event);
+
+    case 'invoice.payment_failed':
+    case 'invoice.marked_uncollectible':
+      return handleInvoiceUnpaid(event.data.object, event);
+
+    case 'invoice.finalized':
+      return handleInvoiceFinalized(event.data.object, event);
+
+    case 'invoice.voided':
+      return handleInvoiceVoided(event.data.object, event);
+
+    case 'payment_intent.succeeded':
+      return handlePaymentIntentSucceeded(event.data.object, event);
+
+    case 'charge.refunded':
+      return handleChargeRefunded(event.data.object, event);
+
+    default:
+      logger.info('Unhandled Stripe event type', { event_id: event.id, event_type: event.type });
+      return 'ignored';
   }
 }
 
-async function handleCheckoutComplete(session) {
+// Hosted Checkout finished: record the subscription it created, or grant the purchase (see lib/checkout.js)
+async function handleCheckoutComplete(session, event) {
+  if (session.mode === 'payment') return handlePurchaseComplete(session, event);
+  if (session.mode !== 'subscription' || !session.subscription) return 'ignored';
+
   const customer = await stripe.customers.retrieve(session.customer);
   const subscription = await stripe.subscriptions.retrieve(session.subscription);
 
-  await updateUserStatus(customer.email, {
-    status: 'active',
-    subscription_id: subscription.id,
-    current_period_end: new Date(subscription.current_period_end * 1000).toISOString()
-  });
+  return updateUserStatus({ customer, subscriptionId: subscription.id }, await subscriptionUpdates(subscription, customer), event);
 }
 
-async function handleSubscriptionUpdate(subscription) {
+function purchaseOutcome({ status }) {
+  return status === 'ignored' || status === 'unmatched' ? status : undefined;
+}
+
+// Payments that settle later (e.g. bank debits) are granted on payment_intent.succeeded instead
+async function handlePurchaseComplete(session, event) {
+  if (!CONFIRMED_PAYMENT_STATUSES.includes(session.payment_status)) return 'ignored';
+
+  return purchaseOutcome(await fulfillPurchase({
+    metadata: session.metadata,
+    paymentId: session.payment_intent || session.id,
+    actor: eventActor(event)
+  }));
+}
+
+// Only payment intents created by one-time checkout carry a product; subscription payments are ignored
+async function handlePaymentIntentSucceeded(paymentIntent, event) {
+  return purchaseOutcome(await fulfillPurchase({
+    metadata: paymentIntent.metadata,
+    paymentId: paymentIntent.id,
+    actor: eventActor(event)
+  }));
+}
+
+async function handleChargeRefunded(charge, event) {
+  if (!charge.payment_intent) return 'ignored';
+  return purchaseOutcome(await refundPurchase(charge, { actor: eventActor(event) }));
+}
+
+async function handleSubscriptionUpdate(subscription, event) {
   const customer = await stripe.customers.retrieve(subscription.customer);
+
+  return updateUserStatus({ customer, subscriptionId: subscription.id }, await subscriptionUpdates(subscription, customer), event);
+}
+
+/**
+ * User row fields for a subscription's current state. Shared by the subscription and
+ * checkout.session.completed webhooks, so a trial started through Checkout is stored as trialing.
+ */
+async function subscriptionUpdates(subscription, customer) {
   let dbStatus = mapStripeStatusToDb(subscription.status);
 
-  // STRICT LOGIC: If Stripe says 'active', we verify if the latest invoice is actually paid.
-  // This prevents 'send_invoice' subscriptions from being active before payment.
-  if (subscription.status === 'active' && subscription.collection_method === 'send_invoice') {
+  // STRICT LOGIC: an active send_invoice subscription waits for its invoice (see lib/subscriptions.js)
+  if (requiresPaidInvoice(subscription)) {
     try {
       // Fetch the latest invoice to check its status
       if (subscription.latest_invoice) {
         const invoice = await stripe.invoices.retrieve(subscription.latest_invoice);
-        if (invoice.status !== 'paid') {
-          console.log(`Strict Check: Subscription ${subscription.id} is active but invoice ${invoice.id} is ${invoice.status}. Setting status to awaiting_payment.`);
+        if (awaitsInvoicePayment(subscription, invoice)) {
+          logger.info('Subscription is active but its invoice is unpaid; setting status to awaiting_payment', {
+            subscription_id: subscription.id,
+            invoice_id: invoice.id,
+            invoice_status: invoice.status
+          });
           dbStatus = 'awaiting_payment';
         }
       }
     } catch (err) {
-      console.error('Error fetching invoice for strict check:', err);
+      logger.error('Error fetching invoice for strict check', { error: err });
       // Fallback: if we can't check, maybe default to awaiting_payment to be safe?
       // Or trust Stripe? Let's trust Stripe but log error.
     }
   }
 
-  await updateUserStatus(customer.email, {
+  const updates = {
     status: dbStatus,
-    current_period_end: new Date(subscription.current_period_end * 1000).toISOString()
-  });
+    subscription_id: subscription.id,
+    stripe_customer_id: customer.id,
+    current_period_end: new Date(subscription.current_period_end * 1000).toISOString(),
+    trial_end: toIsoDate(subscription.trial_end),
+    ...lifecycleFields(subscription)
+  };
+
+  const subscribedPlan = planFromSubscription(subscription);
+  if (subscribedPlan) {
+    updates.plan = subscribedPlan.plan.key;
+    updates.plan_interval = subscribedPlan.interval;
+  }
+
+  return updates;
 }
 
-async function handleInvoicePaid(invoice) {
+// Sent 3 days before a trial ends; keep trial_end current so check-access can surface it
+async function handleTrialWillEnd(subscription, event) {
+  const customer = await stripe.customers.retrieve(subscription.customer);
+
+  logger.info('Trial ending soon', { subscription_id: subscription.id });
+  return updateUserStatus({ customer, subscriptionId: subscription.id }, {
+    trial_end: toIsoDate(subscription.trial_end)
+  }, event);
+}
+
+// Keep the stored email in sync when the customer changes it in Stripe (updateUserStatus copies
+// the customer's email onto the row it matches by customer id)
+async function handleCustomerUpdated(customer, event) {
+  const previous = event.data.previous_attributes || {};
+  if (!('email' in previous) || !customer.email) return;
+
+  return updateUserStatus({ customer }, { updated_at: new Date().toISOString() }, event);
+}
+
+async function handleInvoicePaid(invoice, event) {
   if (!invoice.subscription) return;
 
   const customer = await stripe.customers.retrieve(invoice.customer);
 
   // Explicitly mark as active/paid when invoice is paid
   // This is the GOLDEN SIGNAL for access.
-  await updateUserStatus(customer.email, {
+  logger.info('Invoice paid, setting status to active', { invoice_id: invoice.id, customer_id: customer.id });
+  const result = await updateUserStatus({ customer, subscriptionId: invoice.subscription }, {
     status: 'active',
+    ...invoiceFields(invoice),
     updated_at: new Date().toISOString()
+  }, event);
+
+  // A referred user's first paid invoice earns their referrer the referral reward
+  if (result !== 'unmatched') {
+    const { user } = await resolveStripeUser({ customerId: customer.id, subscriptionId: invoice.subscription, email: customer.email });
+    await rewardReferral(user && user.id, invoice, { actor: eventActor(event) });
+  }
+
+  return result;
+}
+
+// Payment failed or invoice written off: no access until paid
+async function handleInvoiceUnpaid(invoice, event) {
+  if (!invoice.subscription) return;
+
+  const customer = await stripe.customers.retrieve(invoice.customer);
+
+  logger.info('Invoice not paid, setting status to past_due', {
+    invoice_id: invoice.id,
+    customer_id: customer.id,
+    event_type: event.type
   });
-  console.log(`Invoice paid for ${customer.email}, status set to active`);
+  return updateUserStatus({ customer, subscriptionId: invoice.subscription }, {
+    status: 'past_due',
+    ...invoiceFields(invoice),
+    updated_at: new Date().toISOString()
+  }, event);
+}
+
+// send_invoice flow: a finalized invoice with money owed means we wait for payment
+async function handleInvoiceFinalized(invoice, event) {
+  if (!invoice.subscription) return;
+
+  const customer = await stripe.customers.retrieve(invoice.customer);
+  const updates = {
+    ...invoiceFields(invoice),
+    updated_at: new Date().toISOString()
+  };
+
+  if (invoice.status === 'open' && invoice.amount_due > 0 && invoice.collection_method === 'send_invoice') {
+    updates.status = 'awaiting_payment';
+  }
+
+  return updateUserStatus({ customer, subscriptionId: invoice.subscription }, updates, event);
 }
 
-async function updateUserStatus(email, updates) {
-  const { error } = await supabase
+// A voided invoice is no longer owed; only touch users whose latest invoice it was, and move
+// them back to their subscription's status (a void send_invoice invoice left them awaiting_payment)
+async function handleInvoiceVoided(invoice, event) {
+  const { data: owners, error } = await supabase
     .from('users')
-    .update(updates)
-    .ilike('email', email);
+    .select('id')
+    .eq('latest_invoice_id', invoice.id)
+    .limit(1);
+
+  if (error) throw error;
+  if (!owners || owners.length === 0) return;
+
+  const customer = await stripe.customers.retrieve(invoice.customer);
+  let updates = {};
+
+  if (invoice.subscription) {
+    const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+    updates = await subscriptionUpdates(subscription, customer);
+  }
+
+  return updateUserStatus({ customer, subscriptionId: invoice.subscription }, {
+    ...updates,
+    ...invoiceFields(invoice),
+    updated_at: new Date().toISOString()
+  }, event);
+}
+
+function invoiceFields(invoice) {
+  return {
+    latest_invoice_id: invoice.id,
+    latest_invoice_status: invoice.status,
+    latest_invoice_url: invoice.hosted_invoice_url || null,
+    latest_invoice_amount_due: invoice.amount_due,
+    latest_invoice_currency: invoice.currency,
+    // Grace periods count from here (send_invoice due date, else when the invoice was finalized)
+    latest_invoice_due_at: toIsoDate(invoice.due_date || (invoice.status_transitions && invoice.status_transitions.finalized_at) || invoice.created)
+  };
+}
+
+// Pending cancellation and pause state, mirrored on the user row for check-access
+function lifecycleFields(subscription) {
+  const fields = {
+    cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+    cancel_at: toIsoDate(subscription.cancel_at),
+    pause_behavior: subscription.pause_collection ? subscription.pause_collection.behavior : null,
+    pause_resumes_at: toIsoDate(subscription.pause_collection && subscription.pause_collection.resumes_at)
+  };
+
+  const details = subscription.cancellation_details;
+  if (details && (details.comment || details.feedback)) {
+    fields.cancellation_reason = details.comment || details.feedback;
+  }
+
+  return fields;
+}
+
+// Idempotency key for a GPT-initiated subscription change, derived from the action, the
+// subscription, the requested parameters and the user row's updated_at. Retrying the same request
+// (after a timeout, or a local write that failed after Stripe applied it) reuses the key, so
+// Stripe applies it once; the same change requested again after the row moved on gets a new key.
+function lifecycleIdempotencyKey(action, subscription, user, params = {}) {
+  const digest = crypto
+    .createHash('sha256')
+    .update(JSON.stringify([subscription.id, user.updated_at || null, params]))
+    .digest('hex');
+  return `${action}:${subscription.id}:${digest.slice(0, 32)}`;
+}
+
+// Stripe rejects a reused idempotency key whose parameters differ (a retry racing a different change)
+function isIdempotencyConflict(error) {
+  return error.type === 'StripeIdempotencyError';
+}
+
+// Writes a subscription's lifecycle state straight to the user row after a GPT-initiated change.
+// Stripe has already applied the change, so a failed write is only logged: the caller is told it
+// succeeded, and the customer.subscription webhook (or reconciliation) brings the row up to date.
+async function saveLifecycleState(user, subscription, { actor, action, extraFields = {} }) {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .update({
+        ...lifecycleFields(subscription),
+        ...extraFields,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', user.id)
+      .select();
 
-  if (error) console.error('Error updating user status:', error);
+    if (error) throw error;
+    await recordAuditRows({ actor, action, before: [user], after: data });
+  } catch (error) {
+    logger.error('Error saving subscription change to the user row; the webhook will sync it', {
+      error,
+      user_id: user.id,
+      subscription_id: subscription.id
+    });
+  }
 }
 
-function mapStripeStatusToDb(stripeStatus) {
-  const statusMap = {
-    'active': 'active',
-    'trialing': 'trialing',
-    'past_due': 'past_due', // Strict handling: past_due means NO ACCESS
-    'unpaid': 'past_due',
-    'canceled': 'canceled',
-    'incomplete': 'pending',
-    'incomplete_expired': 'none'
+function lifecycleResponse(subscription) {
+  return {
+    subscription_id: subscription.id,
+    status: subscription.status,
+    cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+    cancel_at: toIsoDate(subscription.cancel_at),
+    canceled_at: toIsoDate(subscription.canceled_at),
+    current_period_end: toIsoDate(subscription.current_period_end),
+    paused: Boolean(subscription.pause_collection),
+    pause_resumes_at: toIsoDate(subscription.pause_collection && subscription.pause_collection.resumes_at)
   };
-  return statusMap[stripeStatus] || 'none';
+}
+
+/**
+ * Loads the user's current (active, trialing or past_due) subscription from Stripe.
+ * Returns { user, subscription } or { error, status } for the HTTP response.
+ */
+async function loadCurrentSubscription(email) {
+  const user = await findUserByEmail(email);
+  if (!user || !user.subscription_id) {
+    return { error: 'No subscription found for this email', status: 404 };
+  }
+
+  const subscription = await stripe.subscriptions.retrieve(user.subscription_id);
+  if (!['active', 'trialing', 'past_due'].includes(subscription.status)) {
+    return { error: `Subscription is ${subscription.status}`, status: 409 };
+  }
+
+  return { user, subscription };
+}
+
+/**
+ * Applies webhook updates to the user row matched by stripe_customer_id, then subscription_id,
+ * then exact case-insensitive email. Skips the update if a newer event was already applied
+ * (Stripe does not guarantee delivery order) and syncs the stored email with Stripe's.
+ * Returns 'applied', 'stale' or 'unmatched'. Throws on database errors so the event is
+ * recorded as failed and can be replayed.
+ */
+async function updateUserStatus(target, updates, event) {
+  return applyStripeState(target, updates, {
+    at: new Date(event.created * 1000).toISOString(),
+    actor: eventActor(event),
+    action: `webhook:${event.type}`,
+    eventId: event.id
+  });
+}
+
+/**
+ * Writes Stripe state to the matched user row as of `at` (see updateUserStatus). Also used
+ * outside webhooks, with `at` set to when the state was read from Stripe.
+ */
+async function applyStripeState({ customer, subscriptionId }, updates, { at, actor, action, eventId = null }) {
+  const { user, matchedBy } = await resolveStripeUser({
+    customerId: customer.id,
+    subscriptionId,
+    email: customer.email
+  });
+
+  if (!user) {
+    logger.warn('No user matched Stripe event', {
+      event_id: eventId,
+      customer_id: customer.id,
+      subscription_id: subscriptionId || null
+    });
+    return 'unmatched';
+  }
+
+  const fields = { ...updates };
+  if (customer.email && matchedBy !== 'email' && user.email.toLowerCase() !== customer.email.toLowerCase()) {
+    logger.info('Syncing email from Stripe customer', { user_id: user.id, customer_id: customer.id });
+    fields.email = customer.email;
+  }
+
+  const applyUpdate = values => supabase
+    .from('users')
+    .update({ ...values, last_stripe_event_at: at })
+    .eq('id', user.id)
+    .or(`last_stripe_event_at.is.null,last_stripe_event_at.lte."${at}"`)
+    .select();
+
+  let { data, error } = await applyUpdate(fields);
+
+  // Another row already owns the new email; apply the rest and leave the email as is
+  if (error && error.code === '23505' && fields.email) {
+    logger.warn('Stripe customer email already belongs to another user, not syncing it', {
+      user_id: user.id,
+      email: customer.email
+    });
+    delete fields.email;
+    ({ data, error } = await applyUpdate(fields));
+  }
+
+  if (error) throw error;
+
+  if (!data || data.length === 0) {
+    logger.info('Skipped stale Stripe event: a newer event was already applied', { event_id: eventId, user_id: user.id });
+    return 'stale';
+  }
+
+  await recordAudit({ actor, action, before: user, after: data[0] });
+
+  return 'applied';
+}
+
+function checkoutSessionEmails(session) {
+  return [
+    session.customer_details && session.customer_details.email,
+    session.customer && typeof session.customer === 'object' && session.customer.email,
+    session.metadata && session.metadata.email
+  ].filter(Boolean).map(value => value.toLowerCase());
+}
+
+// Checkout statuses that mean the user has subscribed (payment taken, or none needed for a trial)
+const CONFIRMED_PAYMENT_STATUSES = ['paid', 'no_payment_required'];
+
+/**
+ * Retrieves a Checkout session and, once it is complete, writes the subscription to the user (or
+ * grants the one-time purchase) right away instead of waiting for the checkout.session.completed webhook.
+ * Returns { session, confirmed, subscription, result, purchase } (result as for updateUserStatus,
+ * purchase as for fulfillPurchase), or null if the session does not exist or does not belong to `email`.
+ */
+async function confirmCheckoutSession(sessionId, { actor, email }) {
+  let session;
+  try {
+    session = await stripe.checkout.sessions.retrieve(sessionId, { expand: ['customer', 'subscription'] });
+  } catch (error) {
+    if (error.code === 'resource_missing') return null;
+    throw error;
+  }
+
+  // With an email, only that user's sessions are visible
+  if (email && !checkoutSessionEmails(session).includes(email.toLowerCase())) return null;
+
+  const confirmed = session.status === 'complete' && CONFIRMED_PAYMENT_STATUSES.includes(session.payment_status);
+
+  if (confirmed && session.mode === 'payment') {
+    const purchase = await fulfillPurchase({ metadata: session.metadata, paymentId: session.payment_intent || session.id, actor });
+    return { session, confirmed, subscription: null, result: null, purchase };
+  }
+
+  if (!confirmed || session.mode !== 'subscription' || !session.subscription) {
+    return { session, confirmed, subscription: null, result: null };
+  }
+
+  const customer = typeof session.customer === 'string' ? await stripe.customers.retrieve(session.customer) : session.customer;
+  const subscription = typeof session.subscription === 'string'
+    ? await stripe.subscriptions.retrieve(session.subscription)
+    : session.subscription;
+
+  const result = await applyStripeState(
+    { customer, subscriptionId: subscription.id },
+    await subscriptionUpdates(subscription, customer),
+    { at: new Date().toISOString(), actor, action: 'checkout.confirm' }
+  );
+
+  return { session, confirmed, subscription, result };
 }
 
 module.exports = {
   router,
-  stripeWebhookHandler
+  stripeWebhookHandler,
+  processStripeEvent,
+  confirmCheckoutSession
 };
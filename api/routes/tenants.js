@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const { route } = require('../lib/openapi');
+const {
+  DEFAULT_TENANT_ID,
+  isValidTenantId,
+  listTenants,
+  serializeTenant,
+  createTenant,
+  updateTenant
+} = require('../lib/tenants');
+const logger = require('../lib/logger');
+
+// Tenant management is for the deployment's operator, so it is left out of the GPT Action spec
+// and only works with keys of the default tenant (a tenant's own keys:admin cannot grant it).
+
+const TenantSettings = {
+  name: { type: 'string', minLength: 1 },
+  stripe_secret_key: { type: 'string', pattern: '^(sk|rk)_', description: 'Stored encrypted; never returned' },
+  stripe_webhook_secret: { type: 'string', pattern: '^whsec_', description: 'Signing secret of the webhook endpoint /api/stripe/webhook/{id}' },
+  plan_catalog: { type: 'object', description: 'Same shape as PLAN_CATALOG, with this tenant\'s Stripe price ids' },
+  product_catalog: { type: 'object', description: 'Same shape as PRODUCT_CATALOG' },
+  success_url: { type: ['string', 'null'], pattern: '^https?://', description: 'Checkout success URL; keep {CHECKOUT_SESSION_ID} in it' },
+  cancel_url: { type: ['string', 'null'], pattern: '^https?://' },
+  cors_origins: { type: 'array', items: { type: 'string', pattern: '^https?://' } }
+};
+
+function requireDefaultTenant(req, res) {
+  if (req.tenant.id !== DEFAULT_TENANT_ID) {
+    res.status(403).json({ error: 'Tenants can only be managed with a key of the default tenant' });
+    return false;
+  }
+  return true;
+}
+
+// Register a tenant (a GPT with its own Stripe account)
+route(router, {
+  method: 'post',
+  path: '/',
+  operationId: 'createTenant',
+  summary: 'Register a tenant',
+  scope: 'tenants:admin',
+  hidden: true,
+  body: {
+    type: 'object',
+    required: ['id', 'name', 'stripe_secret_key', 'stripe_webhook_secret', 'plan_catalog'],
+    properties: {
+      id: { type: 'string', description: 'Slug used in the webhook URL, e.g. recipe-gpt' },
+      ...TenantSettings
+    }
+  }
+}, async (req, res) => {
+  try {
+    if (!requireDefaultTenant(req, res)) return;
+
+    if (!isValidTenantId(req.body.id)) {
+      return res.status(400).json({ error: 'id must be 2-63 lowercase letters, digits or dashes, and not "default"' });
+    }
+
+    const { tenant, error } = await createTenant(req.body);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+
+    logger.info('Tenant created', { tenant_id: tenant.id });
+    res.status(201).json({ tenant: serializeTenant(tenant) });
+
+  } catch (error) {
+    logger.error('Error creating tenant', { error });
+    res.status(500).json({ error: 'Failed to create tenant' });
+  }
+});
+
+// List enabled tenants
+route(router, {
+  method: 'get',
+  path: '/',
+  operationId: 'listTenants',
+  summary: 'List tenants',
+  scope: 'tenants:admin',
+  hidden: true
+}, async (req, res) => {
+  try {
+    if (!requireDefaultTenant(req, res)) return;
+
+    const tenants = await listTenants();
+    res.json({ tenants: tenants.map(serializeTenant) });
+
+  } catch (error) {
+    logger.error('Error listing tenants', { error });
+    res.status(500).json({ error: 'Failed to list tenants' });
+  }
+});
+
+// Update a tenant's settings, rotate its Stripe secrets, or disable it
+route(router, {
+  method: 'patch',
+  path: '/:id',
+  operationId: 'updateTenant',
+  summary: 'Update a tenant',
+  scope: 'tenants:admin',
+  hidden: true,
+  body: {
+    type: 'object',
+    properties: {
+      ...TenantSettings,
+      disabled: { type: 'boolean', description: 'Disabled tenants\' keys, OAuth tokens and webhooks are rejected' }
+    }
+  }
+}, async (req, res) => {
+  try {
+    if (!requireDefaultTenant(req, res)) return;
+
+    if (req.params.id === DEFAULT_TENANT_ID) {
+      return res.status(400).json({ error: 'The default tenant is configured with environment variables' });
+    }
+
+    const tenant = await updateTenant(req.params.id, req.body);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    logger.info('Tenant updated', { tenant_id: tenant.id, fields: Object.keys(req.body) });
+    res.json({ tenant: serializeTenant(tenant) });
+
+  } catch (error) {
+    logger.error('Error updating tenant', { error });
+    res.status(500).json({ error: 'Failed to update tenant' });
+  }
+});
+
+module.exports = router;
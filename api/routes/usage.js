@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { route } = require('../lib/openapi');
+const { findUserByEmail } = require('../lib/users');
+const { consumeUsage } = require('../lib/entitlements');
+const { billingUserFor } = require('../lib/organizations');
+const { consumeCredits } = require('../lib/credits');
+const logger = require('../lib/logger');
+
+const QuotaStatus = {
+  type: 'object',
+  properties: {
+    limit: { type: ['integer', 'null'], description: 'null means unlimited' },
+    used: { type: 'integer' },
+    remaining: { type: ['integer', 'null'] },
+    resets_at: { type: 'string', format: 'date-time' }
+  }
+};
+
+// Record metered usage against the user's plan quota
+route(router, {
+  method: 'post',
+  path: '/',
+  operationId: 'recordUsage',
+  summary: 'Record usage of a metered feature',
+  description: 'Call before performing a metered action; a 429 means the quota for this billing period is used up. '
+    + 'Usage beyond the plan (or not included in it) is paid from purchased credits, one credit per unit, while they last.',
+  scope: 'usage:write',
+  identity: 'body',
+  body: {
+    type: 'object',
+    required: ['email', 'metric'],
+    properties: {
+      email: { type: 'string', format: 'email', description: 'User email address' },
+      metric: { type: 'string', description: 'Quota metric, e.g. premium_actions' },
+      amount: { type: 'integer', minimum: 1, maximum: 1000, default: 1 }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Usage recorded',
+      schema: {
+        type: 'object',
+        properties: {
+          metric: { type: 'string' },
+          quota: { ...QuotaStatus, type: ['object', 'null'] },
+          paid_with: { type: 'string', enum: ['quota', 'credits'] },
+          credits: { type: ['integer', 'null'], description: 'Credits left, when paid with credits' }
+        }
+      }
+    },
+    403: { description: 'The user\'s plan does not include this metric, and credits do not cover it' },
+    404: { description: 'User not found' },
+    429: { description: 'Quota exhausted for this billing period, and credits do not cover it' }
+  }
+}, async (req, res) => {
+  try {
+    const { email } = req.identity;
+    const { metric, amount } = req.body;
+
+    const user = await findUserByEmail(email);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Organization members draw on their own counters under the organization's plan
+    const result = await consumeUsage(await billingUserFor(user), metric, amount);
+
+    if (!result.allowed) {
+      const spent = await consumeCredits(user, amount, metric);
+      if (spent.allowed) {
+        return res.json({ metric, quota: result.quota || null, paid_with: 'credits', credits: spent.balance });
+      }
+    }
+
+    if (!result.allowed && result.reason === 'not_included') {
+      return res.status(403).json({ error: `Plan does not include ${metric}` });
+    }
+
+    if (!result.allowed) {
+      return res.status(429).json({
+        error: `Quota exhausted for ${metric}`,
+        metric,
+        quota: result.quota
+      });
+    }
+
+    res.json({ metric, quota: result.quota, paid_with: 'quota', credits: null });
+
+  } catch (error) {
+    logger.error('Error recording usage', { error });
+    res.status(500).json({ error: 'Failed to record usage' });
+  }
+});
+
+module.exports = router;
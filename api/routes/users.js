@@ -1,10 +1,138 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../lib/supabase');
-const { authenticateApiKey } = require('../middleware/auth');
+const { route } = require('../lib/openapi');
+const { isEmail } = require('../lib/validation');
+const { escapeLike, findUserByEmail } = require('../lib/users');
+const { BUCKETS, defaultCurrency, resolvePeriod, getSummary, getTimeSeries, flattenSummary, toCsv } = require('../lib/analytics');
+const logger = require('../lib/logger');
+const { requestActor, recordAudit, recordAuditRows, getHistory } = require('../lib/audit');
+const { currentTenantId } = require('../lib/tenants');
+
+// Bulk operations touch at most this many rows per Supabase call
+const BULK_BATCH_SIZE = 100;
+
+// Columns bulk updates may never set
+const PROTECTED_FIELDS = ['id', 'tenant_id', 'email', 'referral_code', 'created_at'];
+
+// Columns of the analytics CSV export
+const TIMESERIES_COLUMNS = [
+    'bucket_start',
+    'mrr',
+    'revenue',
+    'new_subscriptions',
+    'churned_subscriptions',
+    'payments_succeeded',
+    'payments_failed'
+];
+
+// Columns owned by the Stripe integration (they decide access and webhook ordering);
+// bulk updates need allow_billing_fields
+const BILLING_FIELDS = [
+    'stripe_customer_id',
+    'subscription_id',
+    'status',
+    'plan',
+    'plan_interval',
+    'current_period_end',
+    'trial_end',
+    'cancel_at_period_end',
+    'cancel_at',
+    'cancellation_reason',
+    'pause_behavior',
+    'pause_resumes_at',
+    'latest_invoice_id',
+    'latest_invoice_status',
+    'latest_invoice_url',
+    'latest_invoice_amount_due',
+    'latest_invoice_currency',
+    'latest_invoice_due_at',
+    'last_stripe_event_at',
+    'lifetime_plan'
+];
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+// Finds users for a batch of emails ignoring case (as findUserByEmail does), keyed by lowercased email
+async function findUsersByEmails(emails) {
+    const { data, error } = await supabase.rpc('users_by_emails', {
+        p_tenant_id: currentTenantId(),
+        p_emails: emails
+    });
+
+    if (error) throw error;
+
+    const usersByEmail = new Map();
+    data.forEach(user => usersByEmail.set(user.email.toLowerCase(), user));
+    return usersByEmail;
+}
+
+const User = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        email: { type: 'string' },
+        stripe_customer_id: { type: ['string', 'null'] },
+        subscription_id: { type: ['string', 'null'] },
+        plan: { type: ['string', 'null'] },
+        plan_interval: { type: ['string', 'null'] },
+        status: { type: ['string', 'null'] },
+        current_period_end: { type: ['string', 'null'], format: 'date-time' },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' }
+    }
+};
+
+const EmailParams = {
+    type: 'object',
+    properties: {
+        email: { type: 'string', format: 'email' }
+    }
+};
 
 // Get all users with pagination
-router.get('/users', authenticateApiKey, async (req, res) => {
+route(router, {
+    method: 'get',
+    path: '/',
+    operationId: 'listUsers',
+    summary: 'List all users with pagination and filters',
+    scope: 'users:read',
+    query: {
+        type: 'object',
+        properties: {
+            page: { type: 'integer', minimum: 1, default: 1 },
+            limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+            status: { type: 'string' },
+            plan: { type: 'string' }
+        }
+    },
+    responses: {
+        200: {
+            description: 'List of users',
+            schema: {
+                type: 'object',
+                properties: {
+                    users: { type: 'array', items: User },
+                    pagination: {
+                        type: 'object',
+                        properties: {
+                            page: { type: 'integer' },
+                            limit: { type: 'integer' },
+                            total: { type: 'integer' },
+                            hasMore: { type: 'boolean' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+}, async (req, res) => {
     try {
         const { page = 1, limit = 10, status, plan } = req.query;
         const offset = (page - 1) * limit;
@@ -35,20 +163,44 @@ router.get('/users', authenticateApiKey, async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error fetching users:', error);
+        logger.error('Error fetching users', { error });
         res.status(500).json({ error: 'Failed to fetch users' });
     }
 });
 
 // Create or update user
-router.post('/users', authenticateApiKey, async (req, res) => {
+route(router, {
+    method: 'post',
+    path: '/',
+    operationId: 'createOrUpdateUser',
+    summary: 'Create or update a user',
+    scope: 'users:write',
+    body: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+            email: { type: 'string', format: 'email' },
+            plan: { type: 'string' },
+            status: { type: 'string' },
+            customFields: { type: 'object', description: 'Additional columns to set on the user row' }
+        }
+    },
+    responses: {
+        200: {
+            description: 'User created or updated',
+            schema: {
+                type: 'object',
+                properties: {
+                    action: { type: 'string' },
+                    user: User
+                }
+            }
+        }
+    }
+}, async (req, res) => {
     try {
         const { email, plan, status, customFields = {} } = req.body;
 
-        if (!email) {
-            return res.status(400).json({ error: 'Email is required' });
-        }
-
         // Upsert user
         const upsertData = {
             email,
@@ -59,86 +211,355 @@ router.post('/users', authenticateApiKey, async (req, res) => {
         if (plan) upsertData.plan = plan;
         if (status) upsertData.status = status;
 
+        // Upserts conflict on the exact email, so look up the previous row the same way
+        const { data: existing, error: findError } = await supabase
+            .from('users')
+            .select('*')
+            .eq('email', email)
+            .limit(1);
+
+        if (findError) throw findError;
+
         const { data, error } = await supabase
             .from('users')
-            .upsert(upsertData, { onConflict: 'email' })
+            .upsert(upsertData, { onConflict: 'tenant_id,email' })
             .select()
             .single();
 
         if (error) throw error;
 
+        const before = existing && existing.length > 0 ? existing[0] : null;
+        await recordAudit({
+            actor: requestActor(req),
+            action: before ? 'user.update' : 'user.create',
+            before,
+            after: data
+        });
+
         res.json({ action: 'upserted', user: data });
 
     } catch (error) {
-        console.error('Error creating/updating user:', error);
+        logger.error('Error creating/updating user', { error });
         res.status(500).json({ error: 'Failed to create/update user' });
     }
 });
 
 // Delete user
-router.delete('/users/:email', authenticateApiKey, async (req, res) => {
+route(router, {
+    method: 'delete',
+    path: '/:email',
+    operationId: 'deleteUser',
+    summary: 'Delete a user',
+    scope: 'users:write',
+    params: EmailParams,
+    responses: {
+        200: { description: 'User deleted successfully' }
+    }
+}, async (req, res) => {
     try {
         const { email } = req.params;
 
-        const { error } = await supabase
+        const { data: deleted, error } = await supabase
             .from('users')
             .delete()
-            .ilike('email', email);
+            .ilike('email', escapeLike(email))
+            .select();
 
         if (error) throw error;
 
+        await recordAuditRows({ actor: requestActor(req), action: 'user.delete', before: deleted });
+
         res.json({ message: 'User deleted successfully' });
 
     } catch (error) {
-        console.error('Error deleting user:', error);
+        logger.error('Error deleting user', { error });
         res.status(500).json({ error: 'Failed to delete user' });
     }
 });
 
-// Analytics endpoint
-router.get('/analytics', authenticateApiKey, async (req, res) => {
+// Audit history for a user
+route(router, {
+    method: 'get',
+    path: '/:email/history',
+    operationId: 'getUserHistory',
+    summary: 'List audited changes to a user, newest first',
+    scope: 'users:read',
+    params: EmailParams,
+    query: {
+        type: 'object',
+        properties: {
+            limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+            before: { type: 'string', format: 'date-time', description: 'Only entries older than this (pagination cursor)' }
+        }
+    },
+    responses: {
+        200: {
+            description: 'Audit entries',
+            schema: {
+                type: 'object',
+                properties: {
+                    email: { type: 'string' },
+                    user_id: { type: ['string', 'null'], description: 'null when the user no longer exists' },
+                    entries: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                id: { type: 'string' },
+                                action: { type: 'string', description: 'e.g. user.update, subscription.cancel, webhook:invoice.payment_succeeded' },
+                                actor_type: { type: 'string', enum: ['api_key', 'oauth', 'stripe_event', 'system'] },
+                                actor_id: { type: ['string', 'null'], description: 'API key id, OAuth client id or Stripe event id' },
+                                actor_label: { type: ['string', 'null'] },
+                                changes: { type: 'object', description: 'Changed fields as { field: { from, to } }' },
+                                request_id: { type: ['string', 'null'] },
+                                created_at: { type: 'string', format: 'date-time' }
+                            }
+                        }
+                    },
+                    next_before: { type: ['string', 'null'], description: 'Pass as before to get older entries' }
+                }
+            }
+        }
+    }
+}, async (req, res) => {
     try {
-        const { startDate, endDate } = req.query;
+        const { email } = req.params;
+        const { limit, before } = req.query;
 
-        let query = supabase.from('users').select('*');
+        const user = await findUserByEmail(email);
+        const entries = await getHistory({ userId: user && user.id, email, limit, before });
 
-        if (startDate) query = query.gte('created_at', startDate);
-        if (endDate) query = query.lte('created_at', endDate);
+        res.json({
+            email,
+            user_id: user ? user.id : null,
+            entries,
+            next_before: entries.length === limit ? entries[entries.length - 1].created_at : null
+        });
 
-        const { data: users, error } = await query;
+    } catch (error) {
+        logger.error('Error fetching user history', { error });
+        res.status(500).json({ error: 'Failed to fetch user history' });
+    }
+});
 
-        if (error) throw error;
+// Bulk update or delete users by email
+route(router, {
+    method: 'post',
+    path: '/bulk',
+    operationId: 'bulkUserOperations',
+    summary: 'Perform bulk operations on users',
+    description: 'Returns a result per email: updated, deleted, not_found or error (would_update / would_delete in dry run).',
+    scope: 'users:write',
+    body: {
+        type: 'object',
+        required: ['action', 'emails'],
+        properties: {
+            action: { type: 'string', enum: ['update', 'delete'] },
+            emails: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 1000,
+                items: { type: 'string' },
+                description: 'User email addresses; invalid ones are reported per email'
+            },
+            updates: { type: 'object', description: 'Fields to update (required for update action)' },
+            dry_run: { type: 'boolean', default: false, description: 'Report what would change without writing' },
+            allow_billing_fields: {
+                type: 'boolean',
+                default: false,
+                description: `Allow updating ${BILLING_FIELDS.join(', ')}`
+            }
+        }
+    },
+    responses: {
+        200: {
+            description: 'Bulk operation results',
+            schema: {
+                type: 'object',
+                properties: {
+                    action: { type: 'string' },
+                    dry_run: { type: 'boolean' },
+                    summary: { type: 'object' },
+                    results: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                email: { type: 'string' },
+                                result: { type: 'string' },
+                                error: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+}, async (req, res) => {
+    try {
+        const { action, emails, updates, dry_run: dryRun, allow_billing_fields: allowBillingFields } = req.body;
 
-        // Calculate analytics
-        const analytics = {
-            total_users: users.length,
-            active_subscriptions: users.filter(u => u.status === 'active').length,
-            past_due_users: users.filter(u => u.status === 'past_due').length,
-            canceled_users: users.filter(u => u.status === 'canceled').length,
-            pending_users: users.filter(u => u.status === 'pending').length,
-            plans: {},
-            revenue_estimate: 0
-        };
+        if (action === 'update') {
+            if (!updates || Object.keys(updates).length === 0) {
+                return res.status(400).json({ error: 'updates is required for the update action' });
+            }
+
+            const protectedFields = Object.keys(updates).filter(field => PROTECTED_FIELDS.includes(field));
+            if (protectedFields.length > 0) {
+                return res.status(400).json({ error: `Fields cannot be bulk updated: ${protectedFields.join(', ')}` });
+            }
+
+            const billingFields = Object.keys(updates).filter(field => BILLING_FIELDS.includes(field));
+            if (billingFields.length > 0 && !allowBillingFields) {
+                return res.status(400).json({
+                    error: `Billing fields require allow_billing_fields: ${billingFields.join(', ')}`
+                });
+            }
+        }
+
+        const results = new Map();
+        const validEmails = [];
+
+        emails.forEach(email => {
+            const key = typeof email === 'string' ? email.trim().toLowerCase() : String(email);
+            if (results.has(key)) return;
 
-        // Count by plan
-        users.forEach(user => {
-            const plan = user.plan || 'free';
-            analytics.plans[plan] = (analytics.plans[plan] || 0) + 1;
-
-            if (user.status === 'active') {
-                const planPrices = {
-                    'pro': 29,
-                    'premium': 49,
-                    'enterprise': 99
-                };
-                analytics.revenue_estimate += planPrices[plan] || 0;
+            if (!isEmail(email)) {
+                results.set(key, { email, result: 'error', error: 'Invalid email' });
+            } else {
+                results.set(key, { email: email.trim(), result: 'not_found' });
+                validEmails.push(email.trim());
             }
         });
 
-        res.json(analytics);
+        for (const batch of chunk(validEmails, BULK_BATCH_SIZE)) {
+            try {
+                const usersByEmail = await findUsersByEmails(batch);
+                const ids = [...usersByEmail.values()].map(user => user.id);
+                const found = batch.filter(email => usersByEmail.has(email.toLowerCase()));
+
+                if (ids.length > 0 && !dryRun) {
+                    const query = action === 'update'
+                        ? supabase.from('users').update({ ...updates, updated_at: new Date().toISOString() })
+                        : supabase.from('users').delete();
+
+                    const { data: changed, error } = await query.in('id', ids).select();
+                    if (error) throw error;
+
+                    await recordAuditRows({
+                        actor: requestActor(req),
+                        action: `user.bulk_${action}`,
+                        before: [...usersByEmail.values()],
+                        after: action === 'update' ? changed : []
+                    });
+                }
+
+                const outcome = action === 'update' ? 'updated' : 'deleted';
+                found.forEach(email => {
+                    results.get(email.toLowerCase()).result = dryRun ? `would_${action}` : outcome;
+                });
+            } catch (batchError) {
+                logger.error('Error applying bulk batch', { error: batchError });
+                batch.forEach(email => {
+                    Object.assign(results.get(email.toLowerCase()), {
+                        result: 'error',
+                        error: batchError.message || 'Batch failed'
+                    });
+                });
+            }
+        }
+
+        const resultList = [...results.values()];
+        const summary = resultList.reduce((counts, { result }) => {
+            counts[result] = (counts[result] || 0) + 1;
+            return counts;
+        }, {});
+
+        res.json({
+            action,
+            dry_run: dryRun,
+            summary,
+            results: resultList
+        });
+
+    } catch (error) {
+        logger.error('Error performing bulk operation', { error });
+        res.status(500).json({ error: 'Failed to perform bulk operation' });
+    }
+});
+
+// Subscription analytics (aggregated in SQL from stored Stripe events)
+route(router, {
+    method: 'get',
+    path: '/analytics',
+    operationId: 'getAnalytics',
+    summary: 'Get MRR, churn, trial conversion and time series',
+    scope: 'users:read',
+    query: {
+        type: 'object',
+        properties: {
+            startDate: { type: 'string', format: 'date', description: 'Defaults to 30 days before endDate' },
+            endDate: { type: 'string', format: 'date', description: 'Inclusive; defaults to today' },
+            bucket: { type: 'string', enum: BUCKETS, default: 'day', description: 'Time series bucket size' },
+            currency: { type: 'string', pattern: '^[a-zA-Z]{3}$', description: 'Defaults to the plan catalog currency' },
+            format: { type: 'string', enum: ['json', 'csv'], default: 'json' },
+            export: {
+                type: 'string',
+                enum: ['timeseries', 'summary'],
+                default: 'timeseries',
+                description: 'Which table format=csv returns'
+            }
+        }
+    },
+    responses: {
+        200: {
+            description: 'Analytics data (text/csv when format=csv)',
+            schema: {
+                type: 'object',
+                properties: {
+                    period: { type: 'object' },
+                    currency: { type: 'string' },
+                    mrr: { type: 'integer', description: 'Monthly recurring revenue at the end of the period, smallest currency unit' },
+                    arr: { type: 'integer' },
+                    revenue: { type: 'integer', description: 'Invoice payments collected in the period' },
+                    subscriptions: { type: 'object' },
+                    trials: { type: 'object' },
+                    past_due: { type: 'object' },
+                    users: { type: 'object' },
+                    bucket: { type: 'string' },
+                    timeseries: { type: 'array', items: { type: 'object' } }
+                }
+            }
+        }
+    }
+}, async (req, res) => {
+    try {
+        const { startDate, endDate, bucket, format } = req.query;
+        const currency = (req.query.currency || defaultCurrency()).toLowerCase();
+
+        const { start, end, error: periodError } = resolvePeriod({ startDate, endDate, bucket });
+        if (periodError) {
+            return res.status(400).json({ error: periodError });
+        }
+
+        const [summary, timeseries] = await Promise.all([
+            getSummary({ start, end, currency }),
+            getTimeSeries({ start, end, bucket, currency })
+        ]);
+
+        if (format === 'csv') {
+            const csv = req.query.export === 'summary'
+                ? toCsv(flattenSummary(summary), ['metric', 'value'])
+                : toCsv(timeseries, TIMESERIES_COLUMNS);
+
+            res.set('Content-Disposition', `attachment; filename="analytics-${req.query.export}-${bucket}.csv"`);
+            return res.type('text/csv').send(csv);
+        }
+
+        res.json({ ...summary, bucket, timeseries });
 
     } catch (error) {
-        console.error('Error fetching analytics:', error);
+        logger.error('Error fetching analytics', { error });
         res.status(500).json({ error: 'Failed to fetch analytics' });
     }
 });
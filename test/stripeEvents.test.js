@@ -0,0 +1,109 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeSupabase = require('./support/fakeSupabase');
+
+fakeSupabase.install();
+process.env.LOG_LEVEL = 'error';
+
+const { recordEvent, getEvent, claimEvent, isStaleClaim } = require('../api/lib/stripeEvents');
+
+const event = { id: 'evt_1', type: 'invoice.paid', created: 1700000000, data: { object: {} } };
+
+function minutesAgo(minutes) {
+  return new Date(Date.now() - minutes * 60 * 1000).toISOString();
+}
+
+// Stores the event as if an earlier delivery left it in the given state
+async function storedEvent(fields) {
+  const record = await recordEvent(event);
+  Object.assign(fakeSupabase.rowsOf('stripe_events')[0], fields);
+  return { ...record, ...fields };
+}
+
+beforeEach(() => {
+  fakeSupabase.reset();
+});
+
+test('a new event is recorded as received', async () => {
+  const record = await recordEvent(event);
+  assert.equal(record.status, 'received');
+  assert.equal(record.attempts, 0);
+});
+
+test('a redelivered event returns the stored row', async () => {
+  await storedEvent({ status: 'processed' });
+  const record = await recordEvent(event);
+  assert.equal(record.status, 'processed');
+  assert.equal(fakeSupabase.rowsOf('stripe_events').length, 1);
+});
+
+test('a received event is claimed once', async () => {
+  const record = await recordEvent(event);
+
+  assert.equal(await claimEvent(record), true);
+  assert.equal(await claimEvent(record), false);
+
+  const claimed = await getEvent(event.id);
+  assert.equal(claimed.status, 'processing');
+  assert.equal(claimed.attempts, 1);
+  assert.ok(claimed.claimed_at);
+});
+
+test('a failed event can be claimed again', async () => {
+  const record = await storedEvent({ status: 'failed', attempts: 1, error: 'boom' });
+
+  assert.equal(await claimEvent(record), true);
+
+  const claimed = await getEvent(event.id);
+  assert.equal(claimed.status, 'processing');
+  assert.equal(claimed.attempts, 2);
+  assert.equal(claimed.error, null);
+});
+
+test('settled events are not claimed', async () => {
+  for (const status of ['processed', 'ignored', 'unmatched']) {
+    fakeSupabase.reset();
+    const record = await storedEvent({ status });
+    assert.equal(await claimEvent(record), false, status);
+  }
+});
+
+test('replay claims failed and unmatched events, but not received ones', async () => {
+  for (const [status, claimable] of [['failed', true], ['unmatched', true], ['received', false], ['processed', false]]) {
+    fakeSupabase.reset();
+    const record = await storedEvent({ status });
+    assert.equal(await claimEvent(record, { replay: true }), claimable, status);
+  }
+});
+
+test('a fresh processing claim is not taken over', async () => {
+  const record = await storedEvent({ status: 'processing', attempts: 1, claimed_at: minutesAgo(1) });
+
+  assert.equal(isStaleClaim(record), false);
+  assert.equal(await claimEvent(record), false);
+  assert.equal(await claimEvent(record, { replay: true }), false);
+});
+
+test('a stale processing claim is taken over once', async () => {
+  const record = await storedEvent({ status: 'processing', attempts: 1, claimed_at: minutesAgo(10) });
+
+  assert.equal(isStaleClaim(record), true);
+  assert.equal(await claimEvent(record), true);
+  assert.equal(await claimEvent(record), false);
+
+  const claimed = await getEvent(event.id);
+  assert.equal(claimed.status, 'processing');
+  assert.equal(claimed.attempts, 2);
+  assert.ok(claimed.claimed_at > record.claimed_at);
+});
+
+test('replay also takes over a stale processing claim', async () => {
+  const record = await storedEvent({ status: 'processing', attempts: 1, claimed_at: minutesAgo(10) });
+  assert.equal(await claimEvent(record, { replay: true }), true);
+});
+
+test('only processing events with an old claim are stale', () => {
+  assert.equal(isStaleClaim({ status: 'processing', claimed_at: null }), false);
+  assert.equal(isStaleClaim({ status: 'failed', claimed_at: minutesAgo(10) }), false);
+  assert.equal(isStaleClaim({ status: 'processing', claimed_at: minutesAgo(10) }), true);
+});
@@ -0,0 +1,73 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeSupabase = require('./support/fakeSupabase');
+
+fakeSupabase.install();
+
+const supabase = require('../api/lib/supabase');
+const { runWithTenant } = require('../api/lib/tenantContext');
+
+const tenantA = { id: 'tenant_a' };
+
+beforeEach(() => {
+  fakeSupabase.reset();
+  fakeSupabase.rowsOf('users').push(
+    { id: 'u1', tenant_id: 'tenant_a', email: 'a@example.com', plan: 'free' },
+    { id: 'u2', tenant_id: 'tenant_b', email: 'b@example.com', plan: 'free' }
+  );
+});
+
+test('outside a tenant context queries see every tenant', async () => {
+  const { data } = await supabase.from('users').select('*');
+  assert.deepEqual(data.map(user => user.id), ['u1', 'u2']);
+});
+
+test('select only sees the current tenant\'s rows', async () => {
+  const { data } = await runWithTenant(tenantA, () => supabase.from('users').select('*'));
+  assert.deepEqual(data.map(user => user.id), ['u1']);
+});
+
+test('select by id cannot reach another tenant\'s row', async () => {
+  const { data } = await runWithTenant(tenantA, () => supabase.from('users').select('*').eq('id', 'u2'));
+  assert.deepEqual(data, []);
+});
+
+test('insert and upsert are stamped with the current tenant, whatever the caller passes', async () => {
+  await runWithTenant(tenantA, async () => {
+    await supabase.from('users').insert([{ id: 'u3', email: 'c@example.com', tenant_id: 'tenant_b' }]);
+    await supabase.from('users').upsert({ id: 'u4', email: 'd@example.com' });
+  });
+
+  const users = fakeSupabase.rowsOf('users');
+  assert.equal(users.find(user => user.id === 'u3').tenant_id, 'tenant_a');
+  assert.equal(users.find(user => user.id === 'u4').tenant_id, 'tenant_a');
+});
+
+test('update leaves other tenants\' rows alone and cannot move a row to another tenant', async () => {
+  await runWithTenant(tenantA, () => supabase
+    .from('users')
+    .update({ plan: 'pro', tenant_id: 'tenant_b' })
+    .in('id', ['u1', 'u2']));
+
+  const [u1, u2] = fakeSupabase.rowsOf('users');
+  assert.deepEqual(u1, { id: 'u1', tenant_id: 'tenant_a', email: 'a@example.com', plan: 'pro' });
+  assert.equal(u2.plan, 'free');
+});
+
+test('delete only removes the current tenant\'s rows', async () => {
+  await runWithTenant(tenantA, () => supabase.from('users').delete().in('id', ['u1', 'u2']));
+  assert.deepEqual(fakeSupabase.rowsOf('users').map(user => user.id), ['u2']);
+});
+
+test('tables without a tenant_id column are not scoped', async () => {
+  fakeSupabase.rowsOf('auth_codes').push({ id: 'code_1', email: 'a@example.com' });
+
+  const { data } = await runWithTenant(tenantA, () => supabase.from('auth_codes').select('*'));
+  assert.deepEqual(data, [{ id: 'code_1', email: 'a@example.com' }]);
+  assert.equal(fakeSupabase.queries[0].filters.length, 0);
+});
+
+test('other client methods pass through', async () => {
+  const { data } = await runWithTenant(tenantA, () => supabase.rpc('users_by_emails', { p_tenant_id: 'tenant_a' }));
+  assert.deepEqual(data, { name: 'users_by_emails', params: { p_tenant_id: 'tenant_a' } });
+});
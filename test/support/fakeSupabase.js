@@ -0,0 +1,116 @@
+// In-memory stand-in for the Supabase client, enough of the query builder for the modules under
+// test. Installing it replaces @supabase/supabase-js in the require cache, so api/lib/supabase.js
+// wraps it exactly as it wraps the real client. Every query is recorded for assertions.
+const tables = {};
+const queries = [];
+
+function rowsOf(table) {
+  return tables[table] || (tables[table] = []);
+}
+
+function query(table) {
+  const state = { table, op: 'select', values: null, filters: [], limit: null, single: false };
+  queries.push(state);
+
+  const filter = (column, test) => {
+    state.filters.push({ column, test });
+    return builder;
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: values => write('insert', values),
+    upsert: values => write('upsert', values),
+    update: values => write('update', values),
+    delete: () => write('delete', null),
+    eq: (column, value) => filter(column, actual => actual === value),
+    in: (column, values) => filter(column, actual => values.includes(actual)),
+    lt: (column, value) => filter(column, actual => actual != null && actual < value),
+    limit: count => {
+      state.limit = count;
+      return builder;
+    },
+    single: () => {
+      state.single = true;
+      return builder;
+    },
+    then: (resolve, reject) => Promise.resolve().then(() => run(state)).then(resolve, reject)
+  };
+
+  function write(op, values) {
+    state.op = op;
+    state.values = values;
+    return builder;
+  }
+
+  return builder;
+}
+
+function matches(row, filters) {
+  return filters.every(({ column, test }) => test(row[column]));
+}
+
+function run(state) {
+  const rows = rowsOf(state.table);
+  let data;
+
+  if (state.op === 'insert') {
+    const inserted = [].concat(state.values);
+    if (inserted.some(row => row.id != null && rows.some(existing => existing.id === row.id))) {
+      return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+    }
+    data = inserted.map(row => ({ ...row }));
+    rows.push(...data);
+  } else if (state.op === 'upsert') {
+    data = [].concat(state.values).map(row => {
+      const existing = rows.find(candidate => candidate.id === row.id);
+      if (existing) return Object.assign(existing, row);
+      rows.push({ ...row });
+      return rows[rows.length - 1];
+    });
+  } else if (state.op === 'update') {
+    data = rows.filter(row => matches(row, state.filters));
+    data.forEach(row => Object.assign(row, state.values));
+  } else if (state.op === 'delete') {
+    data = rows.filter(row => matches(row, state.filters));
+    tables[state.table] = rows.filter(row => !data.includes(row));
+  } else {
+    data = rows.filter(row => matches(row, state.filters));
+  }
+
+  data = data.slice(0, state.limit == null ? undefined : state.limit).map(row => ({ ...row }));
+
+  if (state.single) {
+    return data.length === 1
+      ? { data: data[0], error: null }
+      : { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+  }
+  return { data, error: null };
+}
+
+const client = {
+  from: query,
+  rpc: async (name, params) => ({ data: { name, params }, error: null })
+};
+
+// Clears the tables and the query log between tests
+function reset() {
+  for (const table of Object.keys(tables)) delete tables[table];
+  queries.length = 0;
+}
+
+function install() {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://supabase.test';
+  process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+
+  const path = require.resolve('@supabase/supabase-js');
+  require.cache[path] = { id: path, filename: path, loaded: true, exports: { createClient: () => client } };
+}
+
+module.exports = {
+  install,
+  reset,
+  tables,
+  queries,
+  rowsOf
+};